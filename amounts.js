@@ -0,0 +1,102 @@
+// Amount parsing and formatting
+// Token amounts are always converted with the decimals tokens.js gives each token.
+// Engine collateral values are USD in the collateral token's decimals, and the
+// stablecoins are minted one-for-one against them, so sETH and sBTC amounts are
+// also USD. Prices are 8-decimal Chainlink answers and health factors are
+// 1e18-scaled ratios.
+const DISPLAY_DECIMALS = 6;
+
+// Parses user input; digits beyond the token's precision are dropped instead of throwing
+function parseTokenAmount(value, symbol) {
+    const decimals = getTokenDecimals(symbol);
+    const [whole, fraction = ''] = String(value).trim().split('.');
+    const trimmedFraction = fraction.slice(0, decimals);
+
+    return ethers.utils.parseUnits(trimmedFraction ? `${whole || '0'}.${trimmedFraction}` : (whole || '0'), decimals);
+}
+
+// Full-precision string for filling inputs
+function toTokenInput(amount, symbol) {
+    return trimDecimals(ethers.utils.formatUnits(amount, getTokenDecimals(symbol)), Infinity);
+}
+
+function formatTokenAmount(amount, symbol, maxDecimals = DISPLAY_DECIMALS) {
+    const formatted = ethers.utils.formatUnits(amount, getTokenDecimals(symbol));
+    const trimmed = trimDecimals(formatted, maxDecimals);
+
+    // Keep dust visible with four significant digits instead of showing 0
+    if (trimmed === '0' && !amount.isZero()) {
+        const firstDigit = formatted.split('.')[1].search(/[1-9]/);
+        return trimDecimals(formatted, firstDigit + 4);
+    }
+    return trimmed;
+}
+
+// e.g. "1.5 sETH"
+function formatTokenWithSymbol(amount, symbol, maxDecimals = DISPLAY_DECIMALS) {
+    return `${formatTokenAmount(amount, symbol, maxDecimals)} ${symbol}`;
+}
+
+// Truncates (never rounds up) and drops trailing zeros
+function trimDecimals(formatted, maxDecimals) {
+    const [whole, fraction = ''] = formatted.split('.');
+    const kept = fraction.slice(0, maxDecimals).replace(/0+$/, '');
+    return kept ? `${whole}.${kept}` : whole;
+}
+
+function tokenAmountToNumber(amount, symbol) {
+    return parseFloat(ethers.utils.formatUnits(amount, getTokenDecimals(symbol)));
+}
+
+function formatUSD(value) {
+    return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+// Chainlink answer with 8 decimals
+function formatPrice(price) {
+    return formatUSD(parseFloat(ethers.utils.formatUnits(price, 8)));
+}
+
+// Engine collateral value (USD in the collateral token's decimals) as a number
+function collateralValueToNumber(collateralValue, collateralSymbol) {
+    return tokenAmountToNumber(collateralValue, collateralSymbol);
+}
+
+function formatCollateralValue(collateralValue, collateralSymbol) {
+    return formatUSD(collateralValueToNumber(collateralValue, collateralSymbol));
+}
+
+// USD value of a collateral amount at an 8-decimal price
+function formatCollateralUSD(amount, price, collateralSymbol) {
+    const value = ethers.utils.formatUnits(amount.mul(price), getTokenDecimals(collateralSymbol) + 8);
+    return formatUSD(parseFloat(value));
+}
+
+function healthFactorToNumber(healthFactor) {
+    if (healthFactor.eq(ethers.constants.MaxUint256)) return Infinity;
+    return parseFloat(ethers.utils.formatEther(healthFactor));
+}
+
+function formatHealthFactor(healthFactor) {
+    // Engines return type(uint256).max when there is no debt
+    if (healthFactor.eq(ethers.constants.MaxUint256)) return '∞';
+    return healthFactorToNumber(healthFactor).toFixed(2);
+}
+
+// sETH the DEX pays for one sBTC. exchangeRate (priceBTC * 1e18 / priceETH) is raw sETH
+// per raw sBTC scaled by 1e18, and sBTC has 8 decimals to sETH's 18: at BTC/ETH = 30 the
+// rate is 30e18, so one sBTC (1e8 raw) pays 1e8 * 30e18 / 1e18 = 3e9 raw = 0.000000003 sETH
+function formatExchangeRate(exchangeRate) {
+    const oneSbtc = ethers.utils.parseUnits('1', getTokenDecimals('sBTC'));
+    return formatTokenAmount(oneSbtc.mul(exchangeRate).div(ethers.constants.WeiPerEther), 'sETH');
+}
+
+// The same reading as formatExchangeRate, as a number for the rate chart
+function exchangeRateToNumber(exchangeRate) {
+    return priceRatioToExchangeRate(parseFloat(ethers.utils.formatEther(exchangeRate)));
+}
+
+// sETH per sBTC for a BTC/ETH price ratio, scaled for the decimals as the DEX does
+function priceRatioToExchangeRate(ratio) {
+    return ratio * 10 ** (getTokenDecimals('sBTC') - getTokenDecimals('sETH'));
+}
@@ -1,14 +1,3 @@
-// Contract Addresses on Sepolia Testnet
-const CONTRACT_ADDRESSES = {
-    DEX: "0x708EAd15b66236310f9a18e44AFf2C3B82A671Ee",
-    StableCoin: "0x6c6ad692489a89514bD4C8e9344a0Bc387c32438", // sETH
-    StableCoinWBTC: "0x513be19378C375466e29D6b4d001E995FBA8c2ce", // sBTC
-    StableCoinEngine: "0x7B82B239448B30372337fC22cFA02e9E7F10E812",
-    StablecoinWBTCEngine: "0x41233B5b9fAc54512ea322668AC20107F89A7562",
-    WETH: "0x7b79995e5f793A07Bc00c21412e50Ecae098E7f9",
-    WBTC: "0x29f2D40B0605204364af54EC677bD022dA425d03"
-};
-
 // Contract ABIs (simplified for core functions)
 const DEX_ABI = [
     "function swapStableCoinForStableCoinWBTC(uint256 _amountIn) external",
@@ -29,50 +18,103 @@ const ERC20_ABI = [
     "function transfer(address to, uint256 amount) external returns (bool)",
     "function name() external view returns (string)",
     "function symbol() external view returns (string)",
-    "function decimals() external view returns (uint8)"
+    "function decimals() external view returns (uint8)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)"
 ];
 
 const ENGINE_ABI = [
     "function getLatestPrice() external view returns (uint256)",
-    "function getUserDetails(address _user) external view returns (uint256, uint256, uint256)"
+    "function getUserDetails(address _user) external view returns (uint256, uint256, uint256)",
+    "function collateralDeposits(address _user) external view returns (uint256)",
+    "function priceFeed() external view returns (address)",
+    // Only one of these exists on each engine
+    "function burnStableCoinAndWithdrawCollateral(uint256 _burnAmount, uint256 _withdrawAmount) external",
+    "function burnstablecoinWBTCAndWithdrawCollateral(uint256 _burnAmount, uint256 _withdrawAmount) external"
 ];
 
+// Chainlink aggregators behind the engines' getLatestPrice
+const AGGREGATOR_ABI = [
+    "function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+    "function getRoundData(uint80 _roundId) external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+    "function decimals() external view returns (uint8)"
+];
+
+// Feeds older than this block swaps; Sepolia ETH/USD and BTC/USD update at least hourly
+const PRICE_FEED_STALE_SECONDS = 3600;
+const DEFAULT_SLIPPAGE_PERCENT = '0.5';
+
+// Collateral positions, keyed like the liquidationType select
+const POSITIONS = {
+    weth: {
+        label: 'WETH Position',
+        collateralSymbol: 'WETH',
+        debtSymbol: 'sETH',
+        engine: 'stableCoinEngine',
+        engineAddress: 'StableCoinEngine',
+        debtToken: 'stableCoin',
+        mintMethod: 'depositWETHCollateralAndMintStableCoin',
+        burnMethod: 'burnStableCoinAndWithdrawCollateral',
+        liquidateMethod: 'liquidateWETH',
+        enforcesHealthFactor: true
+    },
+    wbtc: {
+        label: 'WBTC Position',
+        collateralSymbol: 'WBTC',
+        debtSymbol: 'sBTC',
+        engine: 'stablecoinWBTCEngine',
+        engineAddress: 'StablecoinWBTCEngine',
+        debtToken: 'stableCoinWBTC',
+        mintMethod: 'depositWBTCCollateralAndMintstablecoinWBTC',
+        burnMethod: 'burnstablecoinWBTCAndWithdrawCollateral',
+        liquidateMethod: 'liquidateWBTC',
+        // The WBTC engine's liquidate skips both health factor checks
+        enforcesHealthFactor: false
+    }
+};
+
+// Engines price collateral with 8-decimal Chainlink answers
+const PRICE_PRECISION = ethers.BigNumber.from(10).pow(8);
+const LIQUIDATION_THRESHOLD = ethers.utils.parseEther('1.5');
+
 // Global variables
 let provider;
+let readProvider;
 let signer;
 let userAddress;
 let contracts = {};
+let repayState = null;
+let targetPositions = null;
+let priceFeedStatus = {};
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('StableCoin DEX Frontend Initialized');
     
     setupEventListeners();
+    await activateNetwork(getPreferredChainId());
+    await initializeReadOnly();
     
-    if (typeof window.ethereum !== 'undefined') {
-        console.log('MetaMask is installed');
-        provider = new ethers.providers.Web3Provider(window.ethereum);
-        
-        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-        if (accounts.length > 0) {
-            await connectWallet();
+    if (!await restoreLastWallet()) {
+        await discoverWallets();
+        if (getWalletOptions().every(option => option.disabled)) {
+            showNotification('No wallet detected. Showing read-only data; install a browser wallet to trade', 'info');
         }
-    } else {
-        showNotification('Please install MetaMask to use this application', 'error');
     }
     
     setInterval(updatePrices, 30000);
     
     // Add real-time collateral ratio calculations
-    document.getElementById('wethCollateral').addEventListener('input', calculateSETHCollateralRatio);
-    document.getElementById('sethToMint').addEventListener('input', calculateSETHCollateralRatio);
-    document.getElementById('wbtcCollateral').addEventListener('input', calculateSBTCCollateralRatio);
-    document.getElementById('sbtcToMint').addEventListener('input', calculateSBTCCollateralRatio);
+    const quoteSETHCollateralRatio = debounce(calculateSETHCollateralRatio);
+    const quoteSBTCCollateralRatio = debounce(calculateSBTCCollateralRatio);
+    document.getElementById('wethCollateral').addEventListener('input', quoteSETHCollateralRatio);
+    document.getElementById('sethToMint').addEventListener('input', quoteSETHCollateralRatio);
+    document.getElementById('wbtcCollateral').addEventListener('input', quoteSBTCCollateralRatio);
+    document.getElementById('sbtcToMint').addEventListener('input', quoteSBTCCollateralRatio);
 });
 
 // Setup all event listeners
 function setupEventListeners() {
-    document.getElementById('connectWallet').addEventListener('click', connectWallet);
+    document.getElementById('connectWallet').addEventListener('click', openWalletModal);
     document.getElementById('disconnectWallet').addEventListener('click', disconnectWallet);
     
     document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -80,41 +122,76 @@ function setupEventListeners() {
     });
     
     document.getElementById('swapDirection').addEventListener('click', swapTokenDirection);
-    document.getElementById('fromAmount').addEventListener('input', calculateSwapOutput);
+    document.getElementById('fromAmount').addEventListener('input', debounce(calculateSwapOutput));
     document.getElementById('swapBtn').addEventListener('click', executeSwap);
     
+    const slippageInput = document.getElementById('slippageTolerance');
+    slippageInput.value = localStorage.getItem('slippageTolerance') || DEFAULT_SLIPPAGE_PERCENT;
+    slippageInput.addEventListener('input', updateSlippageTolerance);
+    document.querySelectorAll('[data-slippage]').forEach(button => {
+        button.addEventListener('click', () => {
+            slippageInput.value = button.dataset.slippage;
+            updateSlippageTolerance();
+        });
+    });
+    updateSlippageTolerance();
+    
     document.getElementById('mintSETH').addEventListener('click', mintSETH);
     document.getElementById('mintSBTC').addEventListener('click', mintSBTC);
     
-    document.getElementById('burnSETH').addEventListener('click', burnSETH);
+    document.getElementById('burnSETH').addEventListener('click', () => openRepayDialog('weth'));
+    document.getElementById('burnSBTC').addEventListener('click', () => openRepayDialog('wbtc'));
+    document.getElementById('repayBurnAmount').addEventListener('input', updateRepayPreview);
+    document.getElementById('repayWithdrawAmount').addEventListener('input', updateRepayPreview);
+    document.getElementById('repayBurnMax').addEventListener('click', setMaxRepayBurn);
+    document.getElementById('repayWithdrawMax').addEventListener('click', setMaxRepayWithdraw);
+    document.getElementById('repayCancel').addEventListener('click', closeRepayDialog);
+    document.getElementById('repaySubmit').addEventListener('click', submitRepay);
     document.getElementById('checkPosition').addEventListener('click', checkLiquidationTarget);
+    document.getElementById('liquidationType').addEventListener('change', updateLiquidationType);
     document.getElementById('liquidatePosition').addEventListener('click', executeLiquidation);
+    
+    setupLiquidationScanner();
+    setupLiquidationCalculator();
+    setupTransactionHistory();
+    setupApprovals();
+    setupPositionMonitor();
+    setupPriceCharts();
+    setupWalletSelection();
+    setupTransactionTracker();
+    setupFeePreviews();
+    setupMintPlanner();
+    setupStressTest();
+    setupLiquidityPool();
+    setupCompositeActions();
+    setupCollateralTokens();
+    setupWatchlist();
+    setupTxModes();
 }
 
 // Wallet connection functions
 async function connectWallet() {
     try {
-        if (!window.ethereum) {
-            throw new Error('MetaMask not installed');
+        if (!walletProvider) {
+            await openWalletModal();
+            return;
         }
         
-        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        const accounts = await walletProvider.request({ method: 'eth_requestAccounts' });
         userAddress = accounts[0];
         
-        provider = new ethers.providers.Web3Provider(window.ethereum);
+        provider = new ethers.providers.Web3Provider(walletProvider, 'any');
         signer = provider.getSigner();
         
-        const network = await provider.getNetwork();
-        if (network.chainId !== 11155111) {
+        const { chainId } = await provider.getNetwork();
+        if (!await activateNetwork(chainId)) {
             try {
-                await window.ethereum.request({
-                    method: 'wallet_switchEthereumChain',
-                    params: [{ chainId: '0xaa36a7' }],
-                });
+                await switchWalletNetwork(DEFAULT_CHAIN_ID);
             } catch (switchError) {
-                showNotification('Please switch to Sepolia testnet', 'error');
+                showNotification(`No deployment for chain ${chainId}. Please switch to one of: ${getSupportedNetworkNames()}`, 'error');
                 return;
             }
+            await activateNetwork(DEFAULT_CHAIN_ID);
         }
         
         await initializeContracts();
@@ -124,6 +201,10 @@ async function connectWallet() {
         document.getElementById('walletAddress').textContent = `${userAddress.slice(0, 6)}...${userAddress.slice(-4)}`;
         
         await loadUserData();
+        startPositionMonitor();
+        restoreTxFlows();
+        restoreCompositeAction();
+        rememberWallet();
         showNotification('Wallet connected successfully!', 'success');
     } catch (error) {
         console.error('Failed to connect wallet:', error);
@@ -132,8 +213,11 @@ async function connectWallet() {
 }
 
 async function disconnectWallet() {
+    stopPositionMonitor();
+    stopTxTracker();
+    resetCompositeActions();
+    await forgetWallet();
     userAddress = null;
-    provider = null;
     signer = null;
     contracts = {};
     
@@ -141,17 +225,56 @@ async function disconnectWallet() {
     document.getElementById('walletInfo').style.display = 'none';
     
     resetAllData();
+    renderTransactionHistory();
+    await initializeReadOnly();
     showNotification('Wallet disconnected', 'info');
 }
 
 async function initializeContracts() {
-    contracts.dex = new ethers.Contract(CONTRACT_ADDRESSES.DEX, DEX_ABI, signer);
-    contracts.stableCoin = new ethers.Contract(CONTRACT_ADDRESSES.StableCoin, ERC20_ABI, signer);
-    contracts.stableCoinWBTC = new ethers.Contract(CONTRACT_ADDRESSES.StableCoinWBTC, ERC20_ABI, signer);
-    contracts.stableCoinEngine = new ethers.Contract(CONTRACT_ADDRESSES.StableCoinEngine, ENGINE_ABI, provider);
-    contracts.stablecoinWBTCEngine = new ethers.Contract(CONTRACT_ADDRESSES.StablecoinWBTCEngine, ENGINE_ABI, provider);
-    contracts.weth = new ethers.Contract(CONTRACT_ADDRESSES.WETH, ERC20_ABI, signer);
-    contracts.wbtc = new ethers.Contract(CONTRACT_ADDRESSES.WBTC, ERC20_ABI, signer);
+    // Without a signer every contract is bound to the read-only RPC provider
+    const runner = signer || readProvider;
+    
+    contracts.dex = new ethers.Contract(CONTRACT_ADDRESSES.DEX, DEX_ABI, runner);
+    contracts.stableCoin = new ethers.Contract(CONTRACT_ADDRESSES.StableCoin, ERC20_ABI, runner);
+    contracts.stableCoinWBTC = new ethers.Contract(CONTRACT_ADDRESSES.StableCoinWBTC, ERC20_ABI, runner);
+    contracts.stableCoinEngine = new ethers.Contract(CONTRACT_ADDRESSES.StableCoinEngine, ENGINE_ABI, runner);
+    contracts.stablecoinWBTCEngine = new ethers.Contract(CONTRACT_ADDRESSES.StablecoinWBTCEngine, ENGINE_ABI, runner);
+    contracts.weth = new ethers.Contract(CONTRACT_ADDRESSES.WETH, ERC20_ABI, runner);
+    contracts.wbtc = new ethers.Contract(CONTRACT_ADDRESSES.WBTC, ERC20_ABI, runner);
+    
+    const { priceFeeds } = activeNetwork;
+    if (priceFeeds.ETH && priceFeeds.BTC) {
+        contracts.ethPriceFeed = new ethers.Contract(priceFeeds.ETH, AGGREGATOR_ABI, runner);
+        contracts.btcPriceFeed = new ethers.Contract(priceFeeds.BTC, AGGREGATOR_ABI, runner);
+    }
+    
+    startReadCache(contracts.dex.provider);
+    startWatchlist();
+    await loadTokenMetadata();
+    setWriteActionsEnabled(Boolean(signer));
+}
+
+// Read-only mode: view calls go through a JSON-RPC node until a wallet connects
+async function initializeReadOnly() {
+    setWriteActionsEnabled(false);
+    if (!activeNetwork) return;
+    
+    const rpcUrl = getReadRpcUrl(activeNetwork);
+    readProvider = new ethers.providers.JsonRpcProvider(rpcUrl, activeNetwork.chainId);
+    showReadRpcOnBadge(activeNetwork, rpcUrl);
+    
+    await initializeContracts();
+    await Promise.all([
+        loadTradingData(),
+        updatePrices()
+    ]);
+}
+
+function setWriteActionsEnabled(enabled) {
+    document.querySelectorAll('[data-requires-signer]').forEach(button => {
+        button.disabled = !enabled;
+        button.title = enabled ? '' : 'Connect a wallet to use this action';
+    });
 }
 
 function switchTab(tabName) {
@@ -161,15 +284,31 @@ function switchTab(tabName) {
     document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
     document.getElementById(tabName).classList.add('active');
     
-    if (userAddress) {
-        switch(tabName) {
-            case 'trading':
-                loadTradingData();
-                break;
-            case 'portfolio':
-                loadPortfolioData();
-                break;
-        }
+    switch(tabName) {
+        case 'trading':
+            loadTradingData();
+            break;
+        case 'liquidity':
+            loadLiquidityPool();
+            break;
+        case 'liquidation':
+            refreshWatchlist();
+            break;
+        case 'minting':
+            loadCollateralBalances();
+            break;
+        case 'portfolio':
+            loadPortfolioData();
+            break;
+        case 'history':
+            renderTransactionHistory();
+            break;
+        case 'approvals':
+            loadApprovals();
+            break;
+        case 'charts':
+            loadPriceChart();
+            break;
     }
 }
 
@@ -186,29 +325,28 @@ function swapTokenDirection() {
     fromAmount.value = '';
     toAmount.value = '';
     
-    if (userAddress) {
-        loadTradingData();
-    }
+    loadTradingData();
 }
 
 async function calculateSwapOutput() {
     const fromAmount = document.getElementById('fromAmount').value;
     const fromToken = document.getElementById('fromToken').value;
     
-    if (!fromAmount || !contracts.dex) return;
+    if (!fromAmount || !contracts.dex) {
+        updateFeePreview('swap', null);
+        return;
+    }
     
     try {
-        const exchangeRate = await contracts.dex.getExchangeRate();
-        const amountIn = ethers.utils.parseEther(fromAmount);
-        
-        let amountOut;
-        if (fromToken === 'sETH') {
-            amountOut = amountIn.mul(ethers.utils.parseEther('1')).div(exchangeRate);
-        } else {
-            amountOut = amountIn.mul(exchangeRate).div(ethers.utils.parseEther('1'));
-        }
+        const exchangeRate = await readContract(contracts.dex, 'getExchangeRate');
+        const amountIn = parseTokenAmount(fromAmount, fromToken);
+        updateFeePreview('swap', { contract: contracts.dex, method: getSwapMethod(fromToken), args: [amountIn] });
+        const amountOut = getSwapAmountOut(fromToken, amountIn, exchangeRate);
+        const outputToken = fromToken === 'sETH' ? 'sBTC' : 'sETH';
         
-        document.getElementById('toAmount').value = ethers.utils.formatEther(amountOut);
+        document.getElementById('toAmount').value = toTokenInput(amountOut, outputToken);
+        document.getElementById('minimumReceived').textContent = 
+            formatTokenWithSymbol(applySlippage(amountOut), outputToken);
         
         // Check DEX liquidity for the output token
         await checkDEXLiquidity(fromToken, amountOut);
@@ -216,6 +354,7 @@ async function calculateSwapOutput() {
     } catch (error) {
         console.error('Failed to calculate swap output:', error);
         document.getElementById('toAmount').value = '';
+        updateFeePreview('swap', null);
     }
 }
 
@@ -225,7 +364,7 @@ async function checkDEXLiquidity(fromToken, amountOut) {
         const outputToken = fromToken === 'sETH' ? 'sBTC' : 'sETH';
         const outputContract = fromToken === 'sETH' ? contracts.stableCoinWBTC : contracts.stableCoin;
         
-        const dexBalance = await outputContract.balanceOf(CONTRACT_ADDRESSES.DEX);
+        const dexBalance = await readContract(outputContract, 'balanceOf', [CONTRACT_ADDRESSES.DEX]);
         
         const liquidityWarning = document.getElementById('liquidityWarning') || createLiquidityWarning();
         
@@ -233,17 +372,17 @@ async function checkDEXLiquidity(fromToken, amountOut) {
             liquidityWarning.style.display = 'block';
             liquidityWarning.innerHTML = `
                 🚨 <strong>Insufficient DEX Liquidity!</strong><br>
-                DEX has ${ethers.utils.formatEther(dexBalance)} ${outputToken}<br>
-                but you need ${ethers.utils.formatEther(amountOut)} ${outputToken}<br>
-                <small>Try a smaller amount or add liquidity to the DEX</small>
+                DEX has ${formatTokenWithSymbol(dexBalance, outputToken)}<br>
+                but you need ${formatTokenWithSymbol(amountOut, outputToken)}<br>
+                <small>Try a smaller amount or add liquidity in the Liquidity tab</small>
             `;
             liquidityWarning.className = 'liquidity-warning error';
         } else {
             liquidityWarning.style.display = 'block';
             liquidityWarning.innerHTML = `
                 ✅ <strong>Sufficient Liquidity</strong><br>
-                DEX has ${ethers.utils.formatEther(dexBalance)} ${outputToken}<br>
-                Swap amount: ${ethers.utils.formatEther(amountOut)} ${outputToken}
+                DEX has ${formatTokenWithSymbol(dexBalance, outputToken)}<br>
+                Swap amount: ${formatTokenWithSymbol(amountOut, outputToken)}
             `;
             liquidityWarning.className = 'liquidity-warning success';
         }
@@ -265,6 +404,38 @@ function createLiquidityWarning() {
     return warning;
 }
 
+function getSwapMethod(fromToken) {
+    return fromToken === 'sETH' ? 'swapStableCoinForStableCoinWBTC' : 'swapStableCoinWBTCForStableCoin';
+}
+
+// Mirrors DEX swap math; exchangeRate is sETH per sBTC scaled by 1e18
+function getSwapAmountOut(fromToken, amountIn, exchangeRate) {
+    return fromToken === 'sETH'
+        ? amountIn.mul(ethers.constants.WeiPerEther).div(exchangeRate)
+        : amountIn.mul(exchangeRate).div(ethers.constants.WeiPerEther);
+}
+
+function getSlippagePercent() {
+    const value = parseFloat(document.getElementById('slippageTolerance').value);
+    if (!Number.isFinite(value) || value <= 0) return parseFloat(DEFAULT_SLIPPAGE_PERCENT);
+    return Math.min(value, 50);
+}
+
+function applySlippage(amount) {
+    const bps = Math.round(getSlippagePercent() * 100);
+    return amount.mul(10000 - bps).div(10000);
+}
+
+function updateSlippageTolerance() {
+    const input = document.getElementById('slippageTolerance');
+    document.querySelectorAll('[data-slippage]').forEach(button => {
+        button.classList.toggle('active', button.dataset.slippage === input.value);
+    });
+    
+    localStorage.setItem('slippageTolerance', getSlippagePercent().toString());
+    calculateSwapOutput();
+}
+
 async function executeSwap() {
     const fromAmount = document.getElementById('fromAmount').value;
     const fromToken = document.getElementById('fromToken').value;
@@ -274,59 +445,52 @@ async function executeSwap() {
         return;
     }
     
+    let flow = null;
     try {
-        showLoading(true);
-        
-        const amountIn = ethers.utils.parseEther(fromAmount);
+        const amountIn = parseTokenAmount(fromAmount, fromToken);
         const tokenContract = fromToken === 'sETH' ? contracts.stableCoin : contracts.stableCoinWBTC;
         
         // Check token balance first
         const tokenBalance = await tokenContract.balanceOf(userAddress);
         if (tokenBalance.lt(amountIn)) {
-            throw new Error(`Insufficient ${fromToken} balance. You have ${ethers.utils.formatEther(tokenBalance)} ${fromToken} but need ${fromAmount} ${fromToken}`);
+            throw createActionError(`Insufficient ${fromToken} balance. You have ${formatTokenWithSymbol(tokenBalance, fromToken)} but need ${fromAmount} ${fromToken}`);
+        }
+        
+        // Refuse to trade against an oracle price that has stopped updating
+        await updatePriceFeedStatus();
+        const staleFeeds = getStalePriceFeeds();
+        if (staleFeeds.length > 0) {
+            throw createActionError(`The ${staleFeeds.map(asset => `${asset}/USD`).join(' and ')} price feed has not updated for over ${formatAge(PRICE_FEED_STALE_SECONDS)}. Swaps are paused until the oracle updates.`, { level: 'warning' });
         }
         
         // Check DEX liquidity before proceeding
         const exchangeRate = await contracts.dex.getExchangeRate();
-        let amountOut;
-        if (fromToken === 'sETH') {
-            amountOut = amountIn.mul(ethers.utils.parseEther('1')).div(exchangeRate);
-        } else {
-            amountOut = amountIn.mul(exchangeRate).div(ethers.utils.parseEther('1'));
-        }
+        const amountOut = getSwapAmountOut(fromToken, amountIn, exchangeRate);
         
         const outputToken = fromToken === 'sETH' ? 'sBTC' : 'sETH';
         const outputContract = fromToken === 'sETH' ? contracts.stableCoinWBTC : contracts.stableCoin;
         const dexOutputBalance = await outputContract.balanceOf(CONTRACT_ADDRESSES.DEX);
         
         if (dexOutputBalance.lt(amountOut)) {
-            throw new Error(`DEX has insufficient ${outputToken} liquidity. Available: ${ethers.utils.formatEther(dexOutputBalance)} ${outputToken}, Required: ${ethers.utils.formatEther(amountOut)} ${outputToken}. Please try a smaller amount or consider adding liquidity to the DEX.`);
+            throw createActionError(`DEX has insufficient ${outputToken} liquidity. Available: ${formatTokenWithSymbol(dexOutputBalance, outputToken)}, Required: ${formatTokenWithSymbol(amountOut, outputToken)}`, {
+                remedy: 'Try a smaller amount or add liquidity in the Liquidity tab'
+            });
         }
         
-        await checkAndApprove(tokenContract, CONTRACT_ADDRESSES.DEX, amountIn);
-        
-        let tx;
-        try {
-            if (fromToken === 'sETH') {
-                await contracts.dex.estimateGas.swapStableCoinForStableCoinWBTC(amountIn);
-                tx = await contracts.dex.swapStableCoinForStableCoinWBTC(amountIn, {
-                    gasLimit: 300000
-                });
-            } else {
-                await contracts.dex.estimateGas.swapStableCoinWBTCForStableCoin(amountIn);
-                tx = await contracts.dex.swapStableCoinWBTCForStableCoin(amountIn, {
-                    gasLimit: 300000
-                });
-            }
-        } catch (estimateError) {
-            if (estimateError.message.includes('execution reverted')) {
-                throw new Error('Swap would fail. Please check: 1) Sufficient token balance, 2) DEX has enough liquidity for the swap, 3) Valid amounts entered');
+        const summary = `${formatTokenWithSymbol(amountIn, fromToken)} → ${formatTokenWithSymbol(amountOut, outputToken)}`;
+        flow = startTxFlow('Swap', summary);
+        const result = await sendWrite(flow, contracts.dex, getSwapMethod(fromToken), [amountIn], {
+            approval: { token: tokenContract, spender: CONTRACT_ADDRESSES.DEX, amount: amountIn },
+            // The swap executes at the oracle rate at inclusion and takes no minimum output,
+            // so re-quote after the approval round-trip and stop if the rate moved too far
+            beforeSend: async () => {
+                const requotedAmountOut = getSwapAmountOut(fromToken, amountIn, await contracts.dex.getExchangeRate());
+                if (requotedAmountOut.lt(applySlippage(amountOut))) {
+                    throw createActionError(`Price moved beyond your ${getSlippagePercent()}% slippage tolerance: you would receive ${formatTokenWithSymbol(requotedAmountOut, outputToken)} instead of ${formatTokenWithSymbol(amountOut, outputToken)}`, { level: 'warning' });
+                }
             }
-            throw estimateError;
-        }
-        
-        showNotification('Transaction submitted. Waiting for confirmation...', 'info');
-        await tx.wait();
+        });
+        if (result.exported) return;
         
         showNotification('Swap completed successfully!', 'success');
         
@@ -342,24 +506,7 @@ async function executeSwap() {
         await loadTradingData();
         
     } catch (error) {
-        console.error('Swap failed:', error);
-        
-        // Enhanced error handling
-        if (error.code === 'UNPREDICTABLE_GAS_LIMIT') {
-            showNotification('Swap would fail. Check token balance and DEX liquidity', 'error');
-        } else if (error.code === 'INSUFFICIENT_FUNDS') {
-            showNotification('Insufficient funds for gas fees', 'error');
-        } else if (error.code === 4001) {
-            showNotification('Transaction rejected by user', 'warning');
-        } else if (error.message.includes('execution reverted')) {
-            showNotification(`Swap failed: ${error.message}`, 'error');
-        } else if (error.message.includes('DEX has insufficient')) {
-            showNotification(`Liquidity Error: ${error.message}`, 'error');
-        } else {
-            showNotification(`Swap failed: ${error.message}`, 'error');
-        }
-    } finally {
-        showLoading(false);
+        handleTransactionError('Swap', error, flow);
     }
 }
 
@@ -372,73 +519,31 @@ async function mintSETH() {
         return;
     }
     
+    let flow = null;
     try {
-        showLoading(true);
-        
-        const wethAmountWei = ethers.utils.parseEther(wethAmount);
-        const sethAmountWei = ethers.utils.parseEther(sethAmount);
+        const wethAmountWei = parseTokenAmount(wethAmount, 'WETH');
+        const sethAmountWei = parseTokenAmount(sethAmount, 'sETH');
         
-        // Check WETH balance first
-        const wethBalance = await contracts.weth.balanceOf(userAddress);
-        if (wethBalance.lt(wethAmountWei)) {
-            throw new Error(`Insufficient WETH balance. You have ${ethers.utils.formatEther(wethBalance)} WETH but need ${wethAmount} WETH`);
-        }
+        // Check WETH balance first; a shortfall can be wrapped from ETH
+        const wethToWrap = await getWethToWrap(wethAmountWei);
         
-        // Check and approve WETH
-        await checkAndApprove(contracts.weth, CONTRACT_ADDRESSES.DEX, wethAmountWei);
-        
-        // Try to estimate gas first to catch errors early
-        try {
-            await contracts.dex.estimateGas.depositWETHCollateralAndMintStableCoin(wethAmountWei, sethAmountWei);
-        } catch (estimateError) {
-            console.error('Gas estimation failed:', estimateError);
-            
-            // Provide specific error messages based on common failure reasons
-            // if (estimateError.message.includes('execution reverted')) {
-            //     // Check common failure reasons
-            //     const ethPrice = await contracts.stableCoinEngine.getLatestPrice();
-            //     const collateralValue = wethAmountWei.mul(ethPrice).div(ethers.utils.parseEther('1'));
-            //     const collateralRatio = collateralValue.mul(100).div(sethAmountWei);
-                
-            //     if (collateralRatio.lt(150)) {
-            //         throw new Error(`Collateral ratio too low (${collateralRatio}%). Minimum 150% required. Either increase WETH collateral or decrease sETH mint amount.`);
-            //     }
-                
-            //     throw new Error('Transaction would fail. Please check: 1) Sufficient WETH balance, 2) Collateral ratio ≥ 150%, 3) Valid amounts entered');
-            
-            
-            throw new Error(`Gas estimation failed: ${estimateError.message}`);
-        }
-        
-        const tx = await contracts.dex.depositWETHCollateralAndMintStableCoin(wethAmountWei, sethAmountWei, {
-            gasLimit: 500000 // Set manual gas limit as fallback
+        // Wrap and approve WETH
+        flow = startTxFlow('Mint', `${wethAmount} WETH → ${sethAmount} sETH`);
+        const result = await sendWrite(flow, contracts.dex, 'depositWETHCollateralAndMintStableCoin', [wethAmountWei, sethAmountWei], {
+            wrap: wethToWrap,
+            approval: { token: contracts.weth, spender: CONTRACT_ADDRESSES.DEX, amount: wethAmountWei }
         });
-        
-        showNotification('Transaction submitted. Waiting for confirmation...', 'info');
-        await tx.wait();
+        if (result.exported) return;
         
         showNotification('sETH minted successfully!', 'success');
         
         document.getElementById('wethCollateral').value = '';
         document.getElementById('sethToMint').value = '';
+        updateMintPlan('weth');
+        loadCollateralBalances();
         
     } catch (error) {
-        console.error('Mint sETH failed:', error);
-        
-        // Enhanced error handling with specific cases
-        if (error.code === 'UNPREDICTABLE_GAS_LIMIT') {
-            showNotification('Transaction would fail. Check your WETH balance and ensure collateral ratio is at least 150%', 'error');
-        } else if (error.code === 'INSUFFICIENT_FUNDS') {
-            showNotification('Insufficient funds for gas fees', 'error');
-        } else if (error.code === 4001) {
-            showNotification('Transaction rejected by user', 'warning');
-        } else if (error.message.includes('execution reverted')) {
-            showNotification(`Transaction failed: ${error.message}`, 'error');
-        } else {
-            showNotification(`Mint failed: ${error.message}`, 'error');
-        }
-    } finally {
-        showLoading(false);
+        handleTransactionError('Mint sETH', error, flow);
     }
 }
 
@@ -451,99 +556,216 @@ async function mintSBTC() {
         return;
     }
     
+    let flow = null;
     try {
-        showLoading(true);
-        
-        const wbtcAmountWei = ethers.utils.parseUnits(wbtcAmount, 8);
-        const sbtcAmountWei = ethers.utils.parseUnits(sbtcAmount, 8);
+        const wbtcAmountWei = parseTokenAmount(wbtcAmount, 'WBTC');
+        const sbtcAmountWei = parseTokenAmount(sbtcAmount, 'sBTC');
         
         // Check WBTC balance first
         const wbtcBalance = await contracts.wbtc.balanceOf(userAddress);
         if (wbtcBalance.lt(wbtcAmountWei)) {
-            throw new Error(`Insufficient WBTC balance. You have ${ethers.utils.formatUnits(wbtcBalance, 8)} WBTC but need ${wbtcAmount} WBTC`);
+            throw createActionError(`Insufficient WBTC balance. You have ${formatTokenWithSymbol(wbtcBalance, 'WBTC')} but need ${wbtcAmount} WBTC`,
+                { remedy: collateralState.faucetAvailable ? 'Get test WBTC with the button above the form' : null });
         }
         
         // Check and approve WBTC
-        await checkAndApprove(contracts.wbtc, CONTRACT_ADDRESSES.DEX, wbtcAmountWei);
-        
-        // Try to estimate gas first to catch errors early
-        try {
-            await contracts.dex.estimateGas.depositWBTCCollateralAndMintstablecoinWBTC(wbtcAmountWei, sbtcAmountWei);
-        } catch (estimateError) {
-            console.error('Gas estimation failed:', estimateError);
-            
-            // Provide specific error messages based on common failure reasons
-            if (estimateError.message.includes('execution reverted')) {
-                // Check common failure reasons
-                const btcPrice = await contracts.stablecoinWBTCEngine.getLatestPrice();
-                const collateralValue = wbtcAmountWei.mul(btcPrice).div(ethers.utils.parseUnits('1', 8));
-                const collateralRatio = collateralValue.mul(100).div(sbtcAmountWei);
-                
-                if (collateralRatio.lt(150)) {
-                    throw new Error(`Collateral ratio too low (${collateralRatio}%). Minimum 150% required. Either increase WBTC collateral or decrease sBTC mint amount.`);
-                }
-                
-                throw new Error('Transaction would fail. Please check: 1) Sufficient WBTC balance, 2) Collateral ratio ≥ 150%, 3) Valid amounts entered');
-            }
-            
-            throw new Error(`Gas estimation failed: ${estimateError.message}`);
-        }
-        
-        const tx = await contracts.dex.depositWBTCCollateralAndMintstablecoinWBTC(wbtcAmountWei, sbtcAmountWei, {
-            gasLimit: 500000 // Set manual gas limit as fallback
+        flow = startTxFlow('Mint', `${wbtcAmount} WBTC → ${sbtcAmount} sBTC`);
+        const result = await sendWrite(flow, contracts.dex, 'depositWBTCCollateralAndMintstablecoinWBTC', [wbtcAmountWei, sbtcAmountWei], {
+            approval: { token: contracts.wbtc, spender: CONTRACT_ADDRESSES.DEX, amount: wbtcAmountWei }
         });
-        
-        showNotification('Transaction submitted. Waiting for confirmation...', 'info');
-        await tx.wait();
+        if (result.exported) return;
         
         showNotification('sBTC minted successfully!', 'success');
         
         document.getElementById('wbtcCollateral').value = '';
         document.getElementById('sbtcToMint').value = '';
+        updateMintPlan('wbtc');
+        loadCollateralBalances();
         
     } catch (error) {
-        console.error('Mint sBTC failed:', error);
-        
-        // Enhanced error handling with specific cases
-        if (error.code === 'UNPREDICTABLE_GAS_LIMIT') {
-            showNotification('Transaction would fail. Check your WBTC balance and ensure collateral ratio is at least 150%', 'error');
-        } else if (error.code === 'INSUFFICIENT_FUNDS') {
-            showNotification('Insufficient funds for gas fees', 'error');
-        } else if (error.code === 4001) {
-            showNotification('Transaction rejected by user', 'warning');
-        } else if (error.message.includes('execution reverted')) {
-            showNotification(`Transaction failed: ${error.message}`, 'error');
-        } else {
-            showNotification(`Mint failed: ${error.message}`, 'error');
-        }
-    } finally {
-        showLoading(false);
+        handleTransactionError('Mint sBTC', error, flow);
     }
 }
 
-async function burnSETH() {
-    const amount = prompt('Enter amount of sETH to burn:');
-    if (!amount || !userAddress) return;
+// Repay & withdraw dialog for either collateral position
+async function openRepayDialog(positionKey) {
+    if (!userAddress) return;
+    
+    const position = POSITIONS[positionKey];
+    const engine = contracts[position.engine];
     
     try {
-        showLoading(true);
-        
-        const amountWei = ethers.utils.parseEther(amount);
-        await checkAndApprove(contracts.stableCoin, CONTRACT_ADDRESSES.DEX, amountWei);
+        // The engines burn from their own balance, not the caller's, so that caps the burn
+        const [details, deposit, price, engineBalance] = await Promise.all([
+            readContract(engine, 'getUserDetails', [userAddress]),
+            readContract(engine, 'collateralDeposits', [userAddress]),
+            readContract(engine, 'getLatestPrice'),
+            readContract(contracts[position.debtToken], 'balanceOf', [CONTRACT_ADDRESSES[position.engineAddress]])
+        ]);
+        const [, debt, healthFactor] = details;
         
-        const tx = await contracts.dex.burnStableCoin(amountWei);
+        if (debt.isZero()) {
+            showNotification(`You have no ${position.debtSymbol} debt to repay`, 'info');
+            return;
+        }
         
-        showNotification('Transaction submitted. Waiting for confirmation...', 'info');
-        await tx.wait();
+        repayState = { positionKey, deposit, debt, price, engineBalance };
+        
+        document.getElementById('repayTitle').textContent = `Repay & Withdraw: ${position.label}`;
+        document.getElementById('repayDebtSymbol').textContent = position.debtSymbol;
+        document.getElementById('repayCollateralSymbol').textContent = position.collateralSymbol;
+        document.getElementById('repayCurrentCollateral').textContent = 
+            `${formatTokenWithSymbol(deposit, position.collateralSymbol)} (${formatCollateralUSD(deposit, price, position.collateralSymbol)})`;
+        document.getElementById('repayCurrentDebt').textContent = formatTokenWithSymbol(debt, position.debtSymbol);
+        document.getElementById('repayCurrentHealth').textContent = formatHealthFactor(healthFactor);
+        document.getElementById('repayEngineBalance').textContent = formatTokenWithSymbol(engineBalance, position.debtSymbol);
+        document.getElementById('repayBurnAmount').value = '';
+        document.getElementById('repayWithdrawAmount').value = '';
+        
+        updateRepayPreview();
+        document.getElementById('repayModal').style.display = 'flex';
+    } catch (error) {
+        console.error('Failed to load position:', error);
+        showNotification(`Failed to load position: ${error.message}`, 'error');
+    }
+}
+
+function closeRepayDialog() {
+    document.getElementById('repayModal').style.display = 'none';
+    repayState = null;
+    updateFeePreview('repay', null);
+}
+
+function parseRepayInputs() {
+    const position = POSITIONS[repayState.positionKey];
+    const burnInput = document.getElementById('repayBurnAmount').value;
+    const withdrawInput = document.getElementById('repayWithdrawAmount').value;
+    
+    return {
+        burnAmount: burnInput ? parseTokenAmount(burnInput, position.debtSymbol) : ethers.BigNumber.from(0),
+        withdrawAmount: withdrawInput ? parseTokenAmount(withdrawInput, position.collateralSymbol) : ethers.BigNumber.from(0)
+    };
+}
+
+// Mirrors the engine's check: withdrawAmount * price / 1e8 <= burnAmount
+function getMaxWithdrawForBurn(burnAmount) {
+    const maxByBurn = burnAmount.mul(PRICE_PRECISION).div(repayState.price);
+    return maxByBurn.lt(repayState.deposit) ? maxByBurn : repayState.deposit;
+}
+
+// Returns an error message if the engine would reject the burn/withdraw pair
+function validateRepay(burnAmount, withdrawAmount) {
+    const position = POSITIONS[repayState.positionKey];
+    
+    if (burnAmount.isZero() || withdrawAmount.isZero()) {
+        return 'The engine requires both a burn amount and a withdrawal greater than zero';
+    }
+    if (burnAmount.gt(repayState.debt)) {
+        return `You only owe ${formatTokenWithSymbol(repayState.debt, position.debtSymbol)}`;
+    }
+    if (burnAmount.gt(repayState.engineBalance)) {
+        return `The engine holds only ${formatTokenWithSymbol(repayState.engineBalance, position.debtSymbol)} to burn; it cannot burn the ${position.debtSymbol} in your wallet`;
+    }
+    if (withdrawAmount.gt(getMaxWithdrawForBurn(burnAmount))) {
+        return `Withdrawal is worth more than the ${position.debtSymbol} burned. Burn more or withdraw less`;
+    }
+    return null;
+}
+
+function updateRepayPreview() {
+    if (!repayState) return;
+    
+    const position = POSITIONS[repayState.positionKey];
+    const validation = document.getElementById('repayValidation');
+    const submit = document.getElementById('repaySubmit');
+    
+    let burnAmount, withdrawAmount;
+    try {
+        ({ burnAmount, withdrawAmount } = parseRepayInputs());
+    } catch (error) {
+        validation.textContent = 'Invalid amount';
+        submit.disabled = true;
+        updateFeePreview('repay', null);
+        return;
+    }
+    
+    updateFeePreview('repay', { contract: contracts[position.engine], method: position.burnMethod, args: [burnAmount, withdrawAmount] });
+    
+    const maxWithdraw = getMaxWithdrawForBurn(burnAmount);
+    document.getElementById('repayMaxWithdraw').textContent = 
+        formatTokenWithSymbol(maxWithdraw, position.collateralSymbol);
+    
+    const remainingDeposit = repayState.deposit.sub(withdrawAmount.gt(repayState.deposit) ? repayState.deposit : withdrawAmount);
+    const remainingDebt = repayState.debt.sub(burnAmount.gt(repayState.debt) ? repayState.debt : burnAmount);
+    const newHealthFactor = remainingDebt.isZero()
+        ? ethers.constants.MaxUint256
+        : remainingDeposit.mul(repayState.price).div(PRICE_PRECISION).mul(ethers.constants.WeiPerEther).div(remainingDebt);
+    
+    document.getElementById('repayNewCollateral').textContent = 
+        `${formatTokenWithSymbol(remainingDeposit, position.collateralSymbol)} (${formatCollateralUSD(remainingDeposit, repayState.price, position.collateralSymbol)})`;
+    document.getElementById('repayNewDebt').textContent = formatTokenWithSymbol(remainingDebt, position.debtSymbol);
+    
+    const healthElement = document.getElementById('repayNewHealth');
+    healthElement.textContent = formatHealthFactor(newHealthFactor);
+    healthElement.style.color = newHealthFactor.lt(LIQUIDATION_THRESHOLD) ? '#ef4444' : '#10b981';
+    
+    const error = validateRepay(burnAmount, withdrawAmount);
+    validation.textContent = error || '';
+    submit.disabled = Boolean(error) || !signer;
+}
+
+function setMaxRepayBurn() {
+    if (!repayState) return;
+    
+    const position = POSITIONS[repayState.positionKey];
+    const maxBurn = repayState.debt.lt(repayState.engineBalance) ? repayState.debt : repayState.engineBalance;
+    document.getElementById('repayBurnAmount').value = toTokenInput(maxBurn, position.debtSymbol);
+    updateRepayPreview();
+}
+
+function setMaxRepayWithdraw() {
+    if (!repayState) return;
+    
+    const position = POSITIONS[repayState.positionKey];
+    try {
+        const { burnAmount } = parseRepayInputs();
+        document.getElementById('repayWithdrawAmount').value = 
+            toTokenInput(getMaxWithdrawForBurn(burnAmount), position.collateralSymbol);
+    } catch (error) {
+        document.getElementById('repayWithdrawAmount').value = '';
+    }
+    updateRepayPreview();
+}
+
+async function submitRepay() {
+    if (!repayState || !userAddress) return;
+    
+    const position = POSITIONS[repayState.positionKey];
+    const { burnAmount, withdrawAmount } = parseRepayInputs();
+    const error = validateRepay(burnAmount, withdrawAmount);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+    
+    let flow = null;
+    try {
+        const engine = contracts[position.engine];
+        const summary = `Burned ${formatTokenWithSymbol(burnAmount, position.debtSymbol)} and withdrew ${formatTokenWithSymbol(withdrawAmount, position.collateralSymbol)}`;
+        flow = startTxFlow('Repay', summary);
+        const result = await sendWrite(flow, engine, position.burnMethod, [burnAmount, withdrawAmount], {
+            onSent: closeRepayDialog
+        });
+        if (result.exported) {
+            closeRepayDialog();
+            return;
+        }
         
-        showNotification('sETH burned successfully!', 'success');
+        showNotification(summary, 'success');
         await loadPortfolioData();
         
     } catch (error) {
-        console.error('Burn sETH failed:', error);
-        showNotification(`Burn failed: ${error.message}`, 'error');
-    } finally {
-        showLoading(false);
+        handleTransactionError('Repay', error, flow);
     }
 }
 
@@ -556,15 +778,23 @@ async function checkLiquidationTarget() {
     }
     
     try {
-        const userDetails = await contracts.dex.getUserDetails(targetAddress);
-        const [wethCollateral, wethDebt, wethHealthFactor] = [userDetails[0], userDetails[1], userDetails[2]];
+        const [userDetails, wethDeposit, wbtcDeposit] = await Promise.all([
+            readContract(contracts.dex, 'getUserDetails', [targetAddress]),
+            readContract(contracts.stableCoinEngine, 'collateralDeposits', [targetAddress]),
+            readContract(contracts.stablecoinWBTCEngine, 'collateralDeposits', [targetAddress])
+        ]);
+        
+        const positions = splitUserDetails(userDetails);
+        positions.weth.deposit = wethDeposit;
+        positions.wbtc.deposit = wbtcDeposit;
+        targetPositions = { address: targetAddress, ...positions };
         
-        document.getElementById('targetCollateral').textContent = ethers.utils.formatEther(wethCollateral);
-        document.getElementById('targetDebt').textContent = ethers.utils.formatEther(wethDebt);
-        document.getElementById('targetHealthFactor').textContent = (wethHealthFactor.toNumber() / 1e18).toFixed(2);
+        renderTargetPositions();
+        await refreshLiquidationCalculator();
         
-        if (wethHealthFactor.lt(ethers.utils.parseEther('1.2'))) {
-            showNotification('Warning: This position may be eligible for liquidation', 'warning');
+        const positionKey = document.getElementById('liquidationType').value;
+        if (isLiquidatable(targetPositions[positionKey])) {
+            showNotification(`Warning: This ${POSITIONS[positionKey].label} is below the 1.5 health factor and eligible for liquidation`, 'warning');
         }
         
     } catch (error) {
@@ -573,36 +803,89 @@ async function checkLiquidationTarget() {
     }
 }
 
+// Shows both positions of the target side by side, highlighting the selected type
+function renderTargetPositions() {
+    const selectedKey = document.getElementById('liquidationType').value;
+    
+    Object.entries(POSITIONS).forEach(([key, position]) => {
+        const card = document.getElementById(`${key}TargetPosition`);
+        card.classList.toggle('selected', key === selectedKey);
+        
+        const target = targetPositions && targetPositions[key];
+        if (!target) {
+            ['Collateral', 'CollateralValue', 'Debt', 'HealthFactor', 'Status'].forEach(field => {
+                document.getElementById(`${key}Target${field}`).textContent = '--';
+            });
+            return;
+        }
+        
+        document.getElementById(`${key}TargetCollateral`).textContent = 
+            formatTokenWithSymbol(target.deposit, position.collateralSymbol);
+        document.getElementById(`${key}TargetCollateralValue`).textContent = 
+            formatCollateralValue(target.collateralValue, position.collateralSymbol);
+        document.getElementById(`${key}TargetDebt`).textContent = 
+            formatTokenWithSymbol(target.debt, position.debtSymbol);
+        document.getElementById(`${key}TargetHealthFactor`).textContent = formatHealthFactor(target.healthFactor);
+        
+        const status = document.getElementById(`${key}TargetStatus`);
+        if (target.debt.isZero()) {
+            status.textContent = 'No debt';
+            status.className = 'position-status';
+        } else if (isLiquidatable(target)) {
+            status.textContent = 'Liquidatable';
+            status.className = 'position-status liquidatable';
+        } else {
+            status.textContent = 'Healthy';
+            status.className = 'position-status healthy';
+        }
+    });
+}
+
+function updateLiquidationType() {
+    const position = POSITIONS[document.getElementById('liquidationType').value];
+    
+    document.getElementById('debtToCoverSymbol').textContent = position.debtSymbol;
+    document.getElementById('debtToCover').value = '';
+    renderTargetPositions();
+    refreshLiquidationCalculator();
+}
+
 async function executeLiquidation() {
     const targetAddress = document.getElementById('liquidationTarget').value;
     const debtToCover = document.getElementById('debtToCover').value;
+    const position = POSITIONS[document.getElementById('liquidationType').value];
     
     if (!targetAddress || !debtToCover || !userAddress) {
         showNotification('Please fill all fields and connect your wallet', 'error');
         return;
     }
     
+    let flow = null;
     try {
-        showLoading(true);
+        const debtAmount = parseTokenAmount(debtToCover, position.debtSymbol);
+        const debtToken = contracts[position.debtToken];
         
-        const debtAmount = ethers.utils.parseEther(debtToCover);
-        await checkAndApprove(contracts.stableCoin, CONTRACT_ADDRESSES.DEX, debtAmount);
-        
-        const tx = await contracts.dex.liquidateWETH(targetAddress, debtAmount);
+        const debtTokenBalance = await debtToken.balanceOf(userAddress);
+        if (debtTokenBalance.lt(debtAmount)) {
+            throw createActionError(`Insufficient ${position.debtSymbol} balance. You have ${formatTokenWithSymbol(debtTokenBalance, position.debtSymbol)} but need ${debtToCover} ${position.debtSymbol}`);
+        }
         
-        showNotification('Liquidation transaction submitted. Waiting for confirmation...', 'info');
-        await tx.wait();
+        flow = startTxFlow('Liquidation', `${debtToCover} ${position.debtSymbol} of ${targetAddress.slice(0, 6)}...${targetAddress.slice(-4)} (${position.label})`);
+        const result = await sendWrite(flow, contracts.dex, position.liquidateMethod, [targetAddress, debtAmount], {
+            approval: { token: debtToken, spender: CONTRACT_ADDRESSES.DEX, amount: debtAmount }
+        });
+        if (result.exported) return;
         
         showNotification('Liquidation completed successfully!', 'success');
         
         document.getElementById('liquidationTarget').value = '';
         document.getElementById('debtToCover').value = '';
+        targetPositions = null;
+        renderTargetPositions();
+        await refreshLiquidationCalculator();
         
     } catch (error) {
-        console.error('Liquidation failed:', error);
-        showNotification(`Liquidation failed: ${error.message}`, 'error');
-    } finally {
-        showLoading(false);
+        handleTransactionError('Liquidation', error, flow);
     }
 }
 
@@ -610,34 +893,35 @@ async function loadUserData() {
     await Promise.all([
         loadTradingData(),
         loadPortfolioData(),
-        updatePrices()
+        loadCollateralBalances(),
+        updatePrices(),
+        reconcilePendingTransactions()
     ]);
 }
 
 async function loadTradingData() {
-    if (!userAddress || !contracts.stableCoin) return;
+    if (!contracts.stableCoin) return;
     
     try {
-        const [sethBalance, sbtcBalance, dexSethBalance, dexSbtcBalance] = await Promise.all([
-            contracts.stableCoin.balanceOf(userAddress),
-            contracts.stableCoinWBTC.balanceOf(userAddress),
-            contracts.stableCoin.balanceOf(CONTRACT_ADDRESSES.DEX),
-            contracts.stableCoinWBTC.balanceOf(CONTRACT_ADDRESSES.DEX)
+        const account = userAddress;
+        const [dexSethBalance, dexSbtcBalance, sethBalance, sbtcBalance] = await Promise.all([
+            readContract(contracts.stableCoin, 'balanceOf', [CONTRACT_ADDRESSES.DEX]),
+            readContract(contracts.stableCoinWBTC, 'balanceOf', [CONTRACT_ADDRESSES.DEX]),
+            account ? readContract(contracts.stableCoin, 'balanceOf', [account]) : null,
+            account ? readContract(contracts.stableCoinWBTC, 'balanceOf', [account]) : null
         ]);
         
+        // Update DEX liquidity display
+        updateDEXLiquidityDisplay(dexSethBalance, dexSbtcBalance);
+        
+        if (!account || account !== userAddress) return;
+        
         const fromToken = document.getElementById('fromToken').value;
         const toToken = document.getElementById('toToken').value;
         
-        document.getElementById('fromBalance').textContent = fromToken === 'sETH' 
-            ? ethers.utils.formatEther(sethBalance)
-            : ethers.utils.formatEther(sbtcBalance);
-            
-        document.getElementById('toBalance').textContent = toToken === 'sETH' 
-            ? ethers.utils.formatEther(sethBalance)
-            : ethers.utils.formatEther(sbtcBalance);
-        
-        // Update DEX liquidity display
-        updateDEXLiquidityDisplay(dexSethBalance, dexSbtcBalance);
+        const balances = { sETH: sethBalance, sBTC: sbtcBalance };
+        document.getElementById('fromBalance').textContent = formatTokenAmount(balances[fromToken], fromToken);
+        document.getElementById('toBalance').textContent = formatTokenAmount(balances[toToken], toToken);
             
     } catch (error) {
         console.error('Failed to load trading data:', error);
@@ -662,11 +946,11 @@ function updateDEXLiquidityDisplay(dexSethBalance, dexSbtcBalance) {
         <div class="liquidity-stats">
             <div class="liquidity-stat">
                 <span class="token-name">sETH:</span>
-                <span class="token-amount">${ethers.utils.formatEther(dexSethBalance)}</span>
+                <span class="token-amount">${formatTokenAmount(dexSethBalance, 'sETH')}</span>
             </div>
             <div class="liquidity-stat">
                 <span class="token-name">sBTC:</span>
-                <span class="token-amount">${ethers.utils.formatEther(dexSbtcBalance)}</span>
+                <span class="token-amount">${formatTokenAmount(dexSbtcBalance, 'sBTC')}</span>
             </div>
         </div>
         <p class="liquidity-note">💡 <small>These are the available tokens in the DEX for swapping</small></p>
@@ -677,56 +961,113 @@ async function loadPortfolioData() {
     if (!userAddress || !contracts.dex) return;
     
     try {
-        const userDetails = await contracts.dex.getUserDetails(userAddress);
-        const [wethCollateral, wethDebt, wethHealthFactor, wbtcCollateral, wbtcDebt, wbtcHealthFactor] = userDetails;
-        
-        document.getElementById('wethPositionCollateral').textContent = ethers.utils.formatEther(wethCollateral);
-        document.getElementById('wethPositionDebt').textContent = ethers.utils.formatEther(wethDebt);
-        document.getElementById('wethHealthFactor').textContent = wethHealthFactor.gt(0) 
-            ? (wethHealthFactor.toNumber() / 1e18).toFixed(2) 
-            : '--';
-        
-        document.getElementById('wbtcPositionCollateral').textContent = ethers.utils.formatUnits(wbtcCollateral, 8);
-        document.getElementById('wbtcPositionDebt').textContent = ethers.utils.formatUnits(wbtcDebt, 8);
-        document.getElementById('wbtcHealthFactor').textContent = wbtcHealthFactor.gt(0) 
-            ? (wbtcHealthFactor.toNumber() / 1e18).toFixed(2) 
-            : '--';
+        await loadPortfolioOverview();
         
     } catch (error) {
         console.error('Failed to load portfolio data:', error);
     }
 }
 
+function renderPortfolioPositions(positions) {
+    Object.entries(positions).forEach(([key, details]) => {
+        const position = POSITIONS[key];
+        document.getElementById(`${key}PositionCollateral`).textContent = 
+            formatCollateralValue(details.collateralValue, position.collateralSymbol);
+        document.getElementById(`${key}PositionDebt`).textContent = formatTokenAmount(details.debt, position.debtSymbol);
+        document.getElementById(`${key}HealthFactor`).textContent = details.debt.isZero()
+            ? '--'
+            : formatHealthFactor(details.healthFactor);
+    });
+}
+
 async function updatePrices() {
     if (!contracts.stableCoinEngine || !contracts.stablecoinWBTCEngine) return;
     
     try {
         const [ethPrice, btcPrice, exchangeRate] = await Promise.all([
-            contracts.stableCoinEngine.getLatestPrice(),
-            contracts.stablecoinWBTCEngine.getLatestPrice(),
-            contracts.dex ? contracts.dex.getExchangeRate() : ethers.BigNumber.from(0)
+            readContract(contracts.stableCoinEngine, 'getLatestPrice'),
+            readContract(contracts.stablecoinWBTCEngine, 'getLatestPrice'),
+            contracts.dex ? readContract(contracts.dex, 'getExchangeRate') : ethers.BigNumber.from(0),
+            updatePriceFeedStatus()
         ]);
         
-        document.getElementById('ethPrice').textContent = `$${(ethPrice.toNumber() / 1e8).toFixed(2)}`;
-        document.getElementById('btcPrice').textContent = `$${(btcPrice.toNumber() / 1e8).toFixed(2)}`;
+        document.getElementById('ethPrice').textContent = formatPrice(ethPrice);
+        document.getElementById('btcPrice').textContent = formatPrice(btcPrice);
         
         if (exchangeRate.gt(0)) {
-            document.getElementById('exchangeRate').textContent = `1 sBTC = ${ethers.utils.formatEther(exchangeRate)} sETH`;
-            document.getElementById('footerExchangeRate').textContent = `1 sBTC = ${ethers.utils.formatEther(exchangeRate)} sETH`;
+            document.getElementById('exchangeRate').textContent = `1 sBTC = ${formatExchangeRate(exchangeRate)} sETH`;
+            document.getElementById('footerExchangeRate').textContent = `1 sBTC = ${formatExchangeRate(exchangeRate)} sETH`;
         }
         
+        recordPriceSamples(ethPrice, btcPrice, exchangeRate);
+        
     } catch (error) {
         console.error('Failed to update prices:', error);
     }
 }
 
-async function checkAndApprove(tokenContract, spender, amount) {
+// Reads updatedAt of the Chainlink rounds behind both engines
+async function updatePriceFeedStatus() {
+    if (!contracts.ethPriceFeed || !contracts.btcPriceFeed) return;
+    
+    try {
+        const [ethRound, btcRound, latestBlock] = await Promise.all([
+            readContract(contracts.ethPriceFeed, 'latestRoundData'),
+            readContract(contracts.btcPriceFeed, 'latestRoundData'),
+            contracts.dex.provider.getBlock('latest')
+        ]);
+        
+        // Measured against chain time so forks with an old timestamp stay consistent
+        priceFeedStatus = {};
+        [['ETH', ethRound], ['BTC', btcRound]].forEach(([asset, round]) => {
+            const age = Math.max(0, latestBlock.timestamp - round.updatedAt.toNumber());
+            priceFeedStatus[asset] = { updatedAt: round.updatedAt.toNumber(), age, stale: age > PRICE_FEED_STALE_SECONDS };
+        });
+        
+        renderPriceFeedStatus();
+    } catch (error) {
+        console.error('Failed to read price feed status:', error);
+    }
+}
+
+function getStalePriceFeeds() {
+    return Object.keys(priceFeedStatus).filter(asset => priceFeedStatus[asset].stale);
+}
+
+function renderPriceFeedStatus() {
+    [['ETH', 'ethPriceAge'], ['BTC', 'btcPriceAge']].forEach(([asset, elementId]) => {
+        const status = priceFeedStatus[asset];
+        const element = document.getElementById(elementId);
+        element.textContent = status ? `(${formatAge(status.age)} ago)` : '';
+        element.classList.toggle('stale', Boolean(status && status.stale));
+    });
+    
+    const warning = document.getElementById('oracleWarning');
+    const staleFeeds = getStalePriceFeeds();
+    warning.style.display = staleFeeds.length > 0 ? 'block' : 'none';
+    warning.textContent = staleFeeds
+        .map(asset => `⚠️ ${asset}/USD oracle price is stale (last updated ${formatAge(priceFeedStatus[asset].age)} ago). Swaps are paused until it updates.`)
+        .join(' ');
+}
+
+function formatAge(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+// The approval is the first step of the action's tracker flow
+async function checkAndApprove(tokenContract, spender, amount, flow) {
     const allowance = await tokenContract.allowance(userAddress, spender);
     if (allowance.lt(amount)) {
-        const approveTx = await tokenContract.approve(spender, ethers.constants.MaxUint256);
-        showNotification('Approving token spending. Please wait...', 'info');
-        await approveTx.wait();
-        showNotification('Token approval confirmed', 'success');
+        setTxFlowStage(flow, 'approve');
+        const approvalAmount = getApprovalAmount(amount);
+        const approveTx = await tokenContract.approve(spender, approvalAmount,
+            await getTxOverrides(tokenContract, 'approve', [spender, approvalAmount]));
+        setTxFlowStage(flow, 'approve', { approvalHash: approveTx.hash });
+        await trackTransaction(approveTx, 'Approve', `${getTokenSymbolByAddress(tokenContract.address)} for ${spender.slice(0, 6)}...${spender.slice(-4)}`);
+        setTxFlowStage(flow, 'sign');
     }
 }
 
@@ -749,10 +1090,6 @@ function showNotification(message, type = 'info') {
     }, 5000);
 }
 
-function showLoading(show) {
-    document.getElementById('loadingOverlay').style.display = show ? 'flex' : 'none';
-}
-
 function resetAllData() {
     document.getElementById('fromBalance').textContent = '0.00';
     document.getElementById('toBalance').textContent = '0.00';
@@ -760,27 +1097,75 @@ function resetAllData() {
     document.getElementById('ethPrice').textContent = 'Loading...';
     document.getElementById('btcPrice').textContent = 'Loading...';
     document.getElementById('footerExchangeRate').textContent = 'Loading...';
+    resetPortfolioOverview();
+    resetCollateralTokens();
 }
 
-// Handle MetaMask events
-if (typeof window.ethereum !== 'undefined') {
-    window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-            disconnectWallet();
-        } else if (accounts[0] !== userAddress) {
-            connectWallet();
-        }
-    });
+// Wallet events, attached to the selected wallet's provider by useWalletProvider
+function handleAccountsChanged(accounts) {
+    if (accounts.length === 0) {
+        disconnectWallet();
+    } else if (accounts[0] !== userAddress) {
+        connectWallet();
+    }
+}
+
+// Re-select the deployment for the new chain instead of reloading the page
+async function handleChainChanged(chainIdHex) {
+    const chainId = toChainId(chainIdHex);
+    if (activeNetwork && activeNetwork.chainId === chainId) return;
     
-    window.ethereum.on('chainChanged', (chainId) => {
-        window.location.reload();
-    });
+    stopPositionMonitor();
+    stopTxTracker();
+    stopWatchlist();
+    contracts = {};
+    resetAllData();
+    resetLiquidationScanner();
+    resetStressTest();
+    resetCompositeActions();
+    
+    const network = await activateNetwork(chainId);
+    if (!network) {
+        showNotification(`No deployment for chain ${chainId}. Supported networks: ${getSupportedNetworkNames()}`, 'error');
+        return;
+    }
+    
+    if (userAddress) {
+        provider = new ethers.providers.Web3Provider(walletProvider, 'any');
+        signer = provider.getSigner();
+        await initializeContracts();
+        await loadUserData();
+        startPositionMonitor();
+        restoreTxFlows();
+        restoreCompositeAction();
+    } else {
+        await initializeReadOnly();
+    }
+    
+    showNotification(`Switched to ${network.name}`, 'info');
 }
 
 console.log('🪙 StableCoin DEX Frontend Loaded');
-console.log('Contract addresses:', CONTRACT_ADDRESSES);
+console.log('Configured networks:', NETWORKS);
 
 // Helper functions for collateral calculations
+// DEX.getUserDetails returns (collateralValue, debt, healthFactor) for WETH then WBTC
+function splitUserDetails(userDetails) {
+    return {
+        weth: { collateralValue: userDetails[0], debt: userDetails[1], healthFactor: userDetails[2] },
+        wbtc: { collateralValue: userDetails[3], debt: userDetails[4], healthFactor: userDetails[5] }
+    };
+}
+
+function isLiquidatable(position) {
+    return !position.debt.isZero() && position.healthFactor.lt(LIQUIDATION_THRESHOLD);
+}
+
+// Whether the position's engine would accept a liquidation; the WBTC engine takes any position with debt
+function canBeLiquidated(positionKey, position) {
+    return POSITIONS[positionKey].enforcesHealthFactor ? isLiquidatable(position) : !position.debt.isZero();
+}
+
 async function calculateSETHCollateralRatio() {
     const wethAmount = document.getElementById('wethCollateral').value;
     const sethAmount = document.getElementById('sethToMint').value;
@@ -789,24 +1174,27 @@ async function calculateSETHCollateralRatio() {
     if (!wethAmount || !sethAmount || !contracts.stableCoinEngine) {
         ratioElement.textContent = '---%';
         ratioElement.className = 'collateral-ratio';
+        updateFeePreview('mintSETH', null);
         return;
     }
     
     try {
-        const ethPrice = await contracts.stableCoinEngine.getLatestPrice();
-        const collateralValue = ethers.utils.parseEther(wethAmount).mul(ethPrice).div(ethers.utils.parseEther('1'));
-        const debtValue = ethers.utils.parseEther(sethAmount);
+        const ethPrice = await readContract(contracts.stableCoinEngine, 'getLatestPrice');
+        const wethAmountWei = parseTokenAmount(wethAmount, 'WETH');
+        // Same units the engine compares: collateral value in WETH decimals against raw sETH
+        const collateralValue = wethAmountWei.mul(ethPrice).div(PRICE_PRECISION);
+        const debtValue = parseTokenAmount(sethAmount, 'sETH');
+        updateFeePreview('mintSETH', { contract: contracts.dex, method: 'depositWETHCollateralAndMintStableCoin', args: [wethAmountWei, debtValue] });
         
         const ratio = collateralValue.mul(100).div(debtValue);
-        const ratioNumber = ratio.toNumber();
         
-        ratioElement.textContent = `${ratioNumber}%`;
+        ratioElement.textContent = `${ratio.toString()}%`;
         
         // Color coding based on safety
-        if (ratioNumber < 150) {
+        if (ratio.lt(150)) {
             ratioElement.style.color = '#ef4444'; // Red - unsafe
             ratioElement.textContent += ' ⚠️ Too Low';
-        } else if (ratioNumber < 200) {
+        } else if (ratio.lt(200)) {
             ratioElement.style.color = '#f59e0b'; // Orange - risky
             ratioElement.textContent += ' ⚡ Risky';
         } else {
@@ -816,6 +1204,7 @@ async function calculateSETHCollateralRatio() {
     } catch (error) {
         ratioElement.textContent = '---%';
         ratioElement.style.color = '#6b7280';
+        updateFeePreview('mintSETH', null);
     }
 }
 
@@ -827,24 +1216,27 @@ async function calculateSBTCCollateralRatio() {
     if (!wbtcAmount || !sbtcAmount || !contracts.stablecoinWBTCEngine) {
         ratioElement.textContent = '---%';
         ratioElement.className = 'collateral-ratio';
+        updateFeePreview('mintSBTC', null);
         return;
     }
     
     try {
-        const btcPrice = await contracts.stablecoinWBTCEngine.getLatestPrice();
-        const collateralValue = ethers.utils.parseUnits(wbtcAmount, 8).mul(btcPrice).div(ethers.utils.parseUnits('1', 8));
-        const debtValue = ethers.utils.parseUnits(sbtcAmount, 8);
+        const btcPrice = await readContract(contracts.stablecoinWBTCEngine, 'getLatestPrice');
+        const wbtcAmountWei = parseTokenAmount(wbtcAmount, 'WBTC');
+        // Same units the engine compares: sBTC is USD in WBTC decimals, like the collateral value
+        const collateralValue = wbtcAmountWei.mul(btcPrice).div(PRICE_PRECISION);
+        const debtValue = parseTokenAmount(sbtcAmount, 'sBTC');
+        updateFeePreview('mintSBTC', { contract: contracts.dex, method: 'depositWBTCCollateralAndMintstablecoinWBTC', args: [wbtcAmountWei, debtValue] });
         
         const ratio = collateralValue.mul(100).div(debtValue);
-        const ratioNumber = ratio.toNumber();
         
-        ratioElement.textContent = `${ratioNumber}%`;
+        ratioElement.textContent = `${ratio.toString()}%`;
         
         // Color coding based on safety
-        if (ratioNumber < 150) {
+        if (ratio.lt(150)) {
             ratioElement.style.color = '#ef4444'; // Red - unsafe
             ratioElement.textContent += ' ⚠️ Too Low';
-        } else if (ratioNumber < 200) {
+        } else if (ratio.lt(200)) {
             ratioElement.style.color = '#f59e0b'; // Orange - risky
             ratioElement.textContent += ' ⚡ Risky';
         } else {
@@ -854,5 +1246,6 @@ async function calculateSBTCCollateralRatio() {
     } catch (error) {
         ratioElement.textContent = '---%';
         ratioElement.style.color = '#6b7280';
+        updateFeePreview('mintSBTC', null);
     }
 }
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Token approvals
+// checkAndApprove approves the exact amount a transaction needs unless the user
+// opts into unlimited approvals. The Approvals tab lists every allowance the
+// connected account has granted to the DEX and engines and can reduce or revoke it.
+const APPROVAL_SPENDERS = [
+    { address: 'DEX', label: 'DEX' },
+    { address: 'StableCoinEngine', label: 'sETH Engine' },
+    { address: 'StablecoinWBTCEngine', label: 'sBTC Engine' }
+];
+
+// Allowances above this are shown as unlimited
+const UNLIMITED_ALLOWANCE = ethers.constants.MaxUint256.div(2);
+
+function setupApprovals() {
+    const mode = getApprovalMode();
+    document.querySelectorAll('input[name="approvalMode"]').forEach(input => {
+        input.checked = input.value === mode;
+        input.addEventListener('change', () => {
+            localStorage.setItem('approvalMode', input.value);
+            showNotification(`Future approvals will be ${input.value === 'unlimited' ? 'unlimited' : 'for the exact amount'}`, 'info');
+        });
+    });
+
+    document.getElementById('refreshApprovals').addEventListener('click', loadApprovals);
+    document.getElementById('approvalsResults').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-approval-action]');
+        if (button) {
+            updateAllowance(button.dataset.token, button.dataset.spender, button.dataset.approvalAction);
+        }
+    });
+}
+
+function getApprovalMode() {
+    return localStorage.getItem('approvalMode') === 'unlimited' ? 'unlimited' : 'exact';
+}
+
+function getApprovalAmount(requiredAmount) {
+    return getApprovalMode() === 'unlimited' ? ethers.constants.MaxUint256 : requiredAmount;
+}
+
+async function loadApprovals() {
+    const tbody = document.getElementById('approvalsResults');
+    if (!userAddress || !contracts.stableCoin) {
+        tbody.innerHTML = '<tr><td colspan="4" class="empty-row">Connect your wallet to see your approvals</td></tr>';
+        return;
+    }
+
+    try {
+        const tokens = Object.entries(TOKENS).map(([symbol, token]) => ({ symbol, ...token }));
+        const pairs = tokens.flatMap(token => APPROVAL_SPENDERS.map(spender => ({ token, spender })));
+        const allowances = await Promise.all(pairs.map(({ token, spender }) =>
+            readContract(contracts[token.contract], 'allowance', [userAddress, CONTRACT_ADDRESSES[spender.address]])
+        ));
+
+        tbody.innerHTML = pairs.map(({ token, spender }, i) => {
+            const allowance = allowances[i];
+            const formatted = allowance.gt(UNLIMITED_ALLOWANCE)
+                ? 'Unlimited'
+                : formatTokenAmount(allowance, token.symbol);
+            const inputId = `allowance-${token.contract}-${spender.address}`;
+            const metadata = getTokenMetadata(token.symbol);
+
+            return `
+                <tr class="${allowance.isZero() ? 'muted-row' : ''}">
+                    <td title="${metadata ? `${metadata.tokenSymbol} ` : ''}${CONTRACT_ADDRESSES[token.address]}">${token.symbol}</td>
+                    <td title="${CONTRACT_ADDRESSES[spender.address]}">${spender.label}</td>
+                    <td class="${allowance.gt(UNLIMITED_ALLOWANCE) ? 'unlimited-allowance' : ''}">${formatted}</td>
+                    <td class="approval-actions">
+                        <input type="number" id="${inputId}" placeholder="New amount" min="0" step="any">
+                        <button class="btn btn-secondary btn-small" data-approval-action="set" data-token="${token.contract}" data-spender="${spender.address}">Set</button>
+                        <button class="btn btn-warning btn-small" data-approval-action="revoke" data-token="${token.contract}" data-spender="${spender.address}" ${allowance.isZero() ? 'disabled' : ''}>Revoke</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Failed to load approvals:', error);
+        showNotification(`Failed to load approvals: ${error.message}`, 'error');
+    }
+}
+
+async function updateAllowance(tokenKey, spenderKey, action) {
+    const symbol = Object.keys(TOKENS).find(key => TOKENS[key].contract === tokenKey);
+    const token = symbol && { symbol, ...TOKENS[symbol] };
+    const spender = APPROVAL_SPENDERS.find(item => item.address === spenderKey);
+    if (!token || !spender || !signer) return;
+
+    let amount = ethers.BigNumber.from(0);
+    if (action === 'set') {
+        const value = document.getElementById(`allowance-${token.contract}-${spender.address}`).value;
+        if (!value) {
+            showNotification('Enter the new allowance amount', 'error');
+            return;
+        }
+        amount = parseTokenAmount(value, token.symbol);
+    }
+
+    const type = amount.isZero() ? 'Revoke' : 'Approve';
+    const summary = amount.isZero()
+        ? `Revoked ${token.symbol} for ${spender.label}`
+        : `${token.symbol} allowance for ${spender.label} set to ${formatTokenAmount(amount, token.symbol)}`;
+
+    let flow = null;
+    try {
+        flow = startTxFlow(type, summary);
+        const result = await sendWrite(flow, contracts[token.contract], 'approve', [CONTRACT_ADDRESSES[spender.address], amount]);
+        if (result.exported) return;
+
+        showNotification(summary, 'success');
+        await loadApprovals();
+
+    } catch (error) {
+        handleTransactionError('Allowance update', error, flow);
+    }
+}
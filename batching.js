@@ -0,0 +1,254 @@
+// Batched writes
+// sendWrite runs the tail of every write path: the WETH wrap a mint may need,
+// the approval and the action itself. In the default mode they are separate
+// transactions. In batch mode they go to the wallet as one EIP-5792
+// `wallet_sendCalls` request when it reports atomic batching for the chain,
+// and the batch is followed with `wallet_getCallsStatus` until its transaction
+// is mined; a batch that takes too long is left to the History tab. In Safe mode
+// nothing is sent: the calls are saved as a Safe Transaction Builder file to
+// import into a Safe and propose to its owners, and sendWrite resolves with
+// `{ exported: true }` instead of a receipt.
+const TX_MODES = {
+    separate: 'Approvals and actions will be sent as separate transactions',
+    batch: 'Approvals and actions will be batched by your wallet',
+    safe: 'Approvals and actions will be saved as Safe Transaction Builder files'
+};
+const DEFAULT_TX_MODE = 'separate';
+
+const CALLS_STATUS_POLL_MS = 2000;
+const CALLS_STATUS_TIMEOUT_MS = 10 * 60 * 1000;
+// Consecutive wallet_getCallsStatus errors tolerated before giving up
+const CALLS_STATUS_MAX_ERRORS = 5;
+const SAFE_TX_BUILDER_VERSION = '1.16.5';
+
+const batchState = {
+    // `${chainId}:${account}` -> whether wallet_sendCalls can batch atomically
+    support: {}
+};
+
+function setupTxModes() {
+    const mode = getTxMode();
+    document.querySelectorAll('input[name="txMode"]').forEach(input => {
+        input.checked = input.value === mode;
+        input.addEventListener('change', () => setTxMode(input.value));
+    });
+}
+
+function getTxMode() {
+    const mode = localStorage.getItem('txMode');
+    return TX_MODES[mode] ? mode : DEFAULT_TX_MODE;
+}
+
+async function setTxMode(mode) {
+    if (mode === 'batch' && userAddress && !await supportsAtomicBatch()) {
+        showNotification('Your wallet does not support batched calls on this network', 'warning');
+        document.querySelector(`input[name="txMode"][value="${getTxMode()}"]`).checked = true;
+        return;
+    }
+
+    localStorage.setItem('txMode', mode);
+    showNotification(TX_MODES[mode], 'info');
+}
+
+async function supportsAtomicBatch() {
+    const chainId = toHexChainId(activeNetwork.chainId);
+    const key = `${chainId}:${userAddress}`;
+    if (key in batchState.support) return batchState.support[key];
+
+    let supported = false;
+    try {
+        const capabilities = await walletProvider.request({ method: 'wallet_getCapabilities', params: [userAddress, [chainId]] });
+        const chain = capabilities && capabilities[chainId];
+        // `atomic` is the final EIP-5792 shape, `atomicBatch` the earlier draft
+        supported = Boolean(chain && (
+            (chain.atomic && ['supported', 'ready'].includes(chain.atomic.status)) ||
+            (chain.atomicBatch && chain.atomicBatch.supported)
+        ));
+    } catch (error) {
+        console.warn('Wallet capabilities are unavailable:', error.message);
+    }
+
+    batchState.support[key] = supported;
+    return supported;
+}
+
+function encodeCall(contract, method, args, value = null) {
+    return {
+        to: contract.address,
+        data: contract.interface.encodeFunctionData(method, args),
+        value: ethers.BigNumber.from(value || 0)
+    };
+}
+
+// Sends contract[method](...args), paying `value` ETH, for `flow`, preceded by a
+// wrap of `wrap` ETH and an approval of `approval` ({ token, spender, amount })
+// when it is needed. `beforeSend` runs right before the action is signed and
+// `onSent` gets the hash of the transaction that carries it. Resolves with the
+// receipt once mined, or with `{ exported: true }` in Safe mode.
+async function sendWrite(flow, contract, method, args, { value = null, wrap = null, approval = null, beforeSend = null, onSent = null } = {}) {
+    const mode = getTxMode();
+    const needsApproval = approval && (await approval.token.allowance(userAddress, approval.spender)).lt(approval.amount);
+
+    let batched = mode === 'safe' || (mode === 'batch' && Boolean(wrap || needsApproval));
+    if (batched && mode === 'batch' && !await supportsAtomicBatch()) {
+        showNotification('Your wallet does not support batched calls on this network; sending separate transactions', 'warning');
+        batched = false;
+    }
+
+    if (!batched) {
+        if (wrap) await wrapForFlow(wrap, flow);
+        if (approval) await checkAndApprove(approval.token, approval.spender, approval.amount, flow);
+        if (beforeSend) await beforeSend();
+
+        const callArgs = value ? [...args, { value }] : args;
+        await simulateWrite(contract, method, callArgs);
+        const overrides = await getTxOverrides(contract, method, callArgs);
+        const tx = await contract[method](...args, value ? { value, ...overrides } : overrides);
+        if (onSent) onSent(tx.hash);
+        return trackTransaction(tx, flow.type, flow.details, flow);
+    }
+
+    const calls = [];
+    if (wrap) calls.push(encodeCall(getWethContract(), 'deposit', [], wrap));
+    if (needsApproval) {
+        calls.push(encodeCall(approval.token, 'approve', [approval.spender, getApprovalAmount(approval.amount)]));
+    }
+    calls.push(encodeCall(contract, method, args, value));
+
+    if (beforeSend) await beforeSend();
+    // The action can only be simulated on its own when nothing before it changes state
+    if (calls.length === 1) await simulateWrite(contract, method, value ? [...args, { value }] : args);
+
+    if (mode === 'safe') {
+        exportSafeBatch(flow, calls);
+        setTxFlowStage(flow, 'exported', { failedAt: 'confirmed' });
+        showNotification(`Saved ${calls.length} call${calls.length > 1 ? 's' : ''} as a Safe Transaction Builder file. Import it in the Transaction Builder app of your Safe to propose the batch.`, 'info');
+        return { exported: true };
+    }
+
+    const hash = await sendCallsBatch(flow, calls);
+    if (onSent) onSent(hash);
+    const tx = await provider.getTransaction(hash);
+    return trackTransaction(tx, flow.type, flow.details, flow);
+}
+
+// Hash of the mined transaction that executed the batch
+async function sendCallsBatch(flow, calls) {
+    const key = txTracker.key;
+    const historyKey = getHistoryKey();
+    setTxFlowStage(flow, 'sign', { batched: true });
+
+    const result = await walletProvider.request({
+        method: 'wallet_sendCalls',
+        params: [{
+            version: '2.0.0',
+            chainId: toHexChainId(activeNetwork.chainId),
+            from: userAddress,
+            atomicRequired: true,
+            calls: calls.map(call => ({ to: call.to, data: call.data, value: call.value.toHexString() }))
+        }]
+    });
+    const id = typeof result === 'string' ? result : result.id;
+    const deadline = Date.now() + CALLS_STATUS_TIMEOUT_MS;
+    let errors = 0;
+
+    for (;;) {
+        let status = null;
+        try {
+            status = await walletProvider.request({ method: 'wallet_getCallsStatus', params: [id] });
+            errors = 0;
+        } catch (error) {
+            errors += 1;
+            console.warn(`wallet_getCallsStatus failed (${errors}/${CALLS_STATUS_MAX_ERRORS}):`, error.message);
+        }
+
+        const outcome = getCallsOutcome(status);
+        if (outcome === 'failed') {
+            throw createActionError('Your wallet reported the batch as failed', { remedy: 'Check the batch in your wallet and retry' });
+        }
+        if (outcome) return outcome;
+
+        if (txTracker.key !== key || errors >= CALLS_STATUS_MAX_ERRORS || Date.now() > deadline) {
+            handOffBatch(flow, id, historyKey);
+            const reason = txTracker.key !== key ? 'after the account or network changed' : 'before your wallet reported its transaction';
+            throw createActionError(`Stopped tracking the batch ${reason}; see the History tab`, { level: 'warning' });
+        }
+        await new Promise(resolve => setTimeout(resolve, CALLS_STATUS_POLL_MS));
+    }
+}
+
+// Hash of the transaction that executed the batch, 'failed', or null while pending
+function getCallsOutcome(status) {
+    if (!status) return null;
+    if (typeof status.status === 'number' && status.status >= 400) return 'failed';
+
+    const receipts = status.receipts || [];
+    if ((status.status === 200 || status.status === 'CONFIRMED') && receipts.length > 0) {
+        // The action is the last call; with atomic batching all calls share one transaction
+        return receipts[receipts.length - 1].transactionHash;
+    }
+    return null;
+}
+
+// Leaves the batch to reconcilePendingTransactions, which looks it up by its calls id
+function handOffBatch(flow, id, historyKey) {
+    if (historyKey) {
+        const entries = loadTransactionHistory(historyKey);
+        entries.unshift({
+            hash: null,
+            callsId: id,
+            type: flow.type,
+            details: flow.details,
+            status: 'pending',
+            submittedAt: Date.now(),
+            blockNumber: null,
+            gasUsed: null
+        });
+        saveTransactionHistory(historyKey, entries);
+    }
+    removeTxFlow(flow);
+}
+
+// Fills in the hash of a handed-off batch once the wallet reports it; null until then
+async function resolveBatchHash(key, entry) {
+    if (!walletProvider) return null;
+
+    const outcome = getCallsOutcome(await walletProvider.request({ method: 'wallet_getCallsStatus', params: [entry.callsId] }));
+    if (!outcome) return null;
+
+    const entries = loadTransactionHistory(key);
+    const stored = entries.find(item => item.callsId === entry.callsId);
+    if (stored) {
+        Object.assign(stored, outcome === 'failed' ? { status: 'failed' } : { hash: outcome });
+        saveTransactionHistory(key, entries);
+    }
+    return outcome === 'failed' ? null : outcome;
+}
+
+// Safe Transaction Builder batch file with raw calldata for each call
+function exportSafeBatch(flow, calls) {
+    const batch = {
+        version: '1.0',
+        chainId: String(activeNetwork.chainId),
+        createdAt: Date.now(),
+        meta: {
+            name: `${flow.type}: ${flow.details}`,
+            description: `Generated by StableCoin DEX on ${activeNetwork.name}`,
+            txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+            createdFromSafeAddress: userAddress
+        },
+        transactions: calls.map(call => ({
+            to: call.to,
+            value: call.value.toString(),
+            data: call.data,
+            contractMethod: null,
+            contractInputsValues: null
+        }))
+    };
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(batch, null, 2)], { type: 'application/json' }));
+    link.download = `safe-batch-${flow.type.toLowerCase().replace(/\s+/g, '-')}-${batch.createdAt}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,350 @@
+// Price history charts
+// ETH/USD and BTC/USD history is backfilled from the Chainlink rounds behind the
+// engines (getRoundData, walking back from the latest round) and extended with
+// every updatePrices sample. The sBTC/sETH rate is the DEX getExchangeRate
+// samples plus BTC/ETH derived from the rounds, which is how the DEX computes it,
+// both read as sETH paid per sBTC like formatExchangeRate.
+// Samples are cached per chain in IndexedDB so each round is fetched only once.
+// Rounds are read through readContract, so each page of rounds is one Multicall3 call.
+const PRICE_DB_NAME = 'stablecoin-dex';
+const PRICE_DB_VERSION = 2;
+const BACKFILL_BATCH_SIZE = 100;
+const BACKFILL_MAX_ROUNDS = 1000;
+
+const CHART_WINDOWS = {
+    '1h': 3600,
+    '24h': 86400,
+    '7d': 7 * 86400,
+    '30d': 30 * 86400
+};
+
+const CHART_SERIES = {
+    ETH: { label: 'ETH/USD', feed: 'ethPriceFeed', format: value => formatUSD(value) },
+    BTC: { label: 'BTC/USD', feed: 'btcPriceFeed', format: value => formatUSD(value) },
+    RATE: { label: 'sBTC/sETH', feed: null, format: value => `${value.toLocaleString(undefined, { maximumSignificantDigits: 4 })} sETH` }
+};
+
+const chartState = {
+    series: 'ETH',
+    window: '24h',
+    loading: false
+};
+
+let priceDbPromise = null;
+
+function setupPriceCharts() {
+    document.querySelectorAll('[data-chart-series]').forEach(button => {
+        button.addEventListener('click', () => {
+            chartState.series = button.dataset.chartSeries;
+            loadPriceChart();
+        });
+    });
+    document.querySelectorAll('[data-chart-window]').forEach(button => {
+        button.addEventListener('click', () => {
+            chartState.window = button.dataset.chartWindow;
+            loadPriceChart();
+        });
+    });
+}
+
+function openPriceDb() {
+    if (!priceDbPromise) {
+        priceDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(PRICE_DB_NAME, PRICE_DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                if (event.oldVersion < 1) {
+                    const db = request.result;
+                    db.createObjectStore('priceSamples', { keyPath: ['chainId', 'series', 'timestamp'] });
+                    db.createObjectStore('backfillState', { keyPath: 'id' });
+                    return;
+                }
+                // Version 1 stored RATE samples as the raw BTC/ETH ratio; drop them
+                request.transaction.objectStore('priceSamples').openCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor) return;
+                    if (cursor.value.series === 'RATE') cursor.delete();
+                    cursor.continue();
+                };
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return priceDbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function putPriceSamples(samples) {
+    if (samples.length === 0) return;
+
+    const db = await openPriceDb();
+    const transaction = db.transaction('priceSamples', 'readwrite');
+    const store = transaction.objectStore('priceSamples');
+    samples.forEach(sample => store.put(sample));
+
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function getPriceSamples(chainId, series, from) {
+    const db = await openPriceDb();
+    const range = IDBKeyRange.bound([chainId, series, from], [chainId, series, Infinity]);
+    return promisifyRequest(db.transaction('priceSamples').objectStore('priceSamples').getAll(range));
+}
+
+async function getBackfillState(id) {
+    const db = await openPriceDb();
+    return promisifyRequest(db.transaction('backfillState').objectStore('backfillState').get(id));
+}
+
+async function putBackfillState(state) {
+    const db = await openPriceDb();
+    return promisifyRequest(db.transaction('backfillState', 'readwrite').objectStore('backfillState').put(state));
+}
+
+// Called from updatePrices with the values it just read
+async function recordPriceSamples(ethPrice, btcPrice, exchangeRate) {
+    if (!activeNetwork || typeof indexedDB === 'undefined') return;
+
+    const chainId = activeNetwork.chainId;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const samples = [
+        { chainId, series: 'ETH', timestamp, value: parseFloat(ethers.utils.formatUnits(ethPrice, 8)) },
+        { chainId, series: 'BTC', timestamp, value: parseFloat(ethers.utils.formatUnits(btcPrice, 8)) }
+    ];
+    if (exchangeRate.gt(0)) {
+        samples.push({ chainId, series: 'RATE', timestamp, value: exchangeRateToNumber(exchangeRate) });
+    }
+
+    try {
+        await putPriceSamples(samples);
+        if (document.getElementById('charts').classList.contains('active') && !chartState.loading) {
+            await renderPriceChart();
+        }
+    } catch (error) {
+        console.warn('Failed to record price samples:', error);
+    }
+}
+
+function roundToSample(chainId, series, round, decimals) {
+    return {
+        chainId,
+        series,
+        timestamp: round.updatedAt.toNumber(),
+        value: parseFloat(ethers.utils.formatUnits(round.answer, decimals)),
+        roundId: round.roundId.toString()
+    };
+}
+
+// Reads rounds downward from startRoundId until `shouldStop` or the phase's first round.
+// Round ids are (phaseId << 64) | aggregatorRoundId, so the low 64 bits count down to 1.
+async function walkRounds(feed, startRoundId, toSample, shouldStop) {
+    const samples = [];
+    let roundId = startRoundId;
+    let exhausted = false;
+
+    while (samples.length < BACKFILL_MAX_ROUNDS) {
+        const ids = [];
+        for (let id = roundId; ids.length < BACKFILL_BATCH_SIZE && id.mask(64).gt(0); id = id.sub(1)) {
+            ids.push(id);
+        }
+        if (ids.length === 0) {
+            exhausted = true;
+            break;
+        }
+
+        // Missing rounds revert; treat them as the end of the history
+        const rounds = await Promise.all(ids.map(id => readContract(feed, 'getRoundData', [id]).catch(error => {
+            if (error.code === 'CALL_EXCEPTION') return null;
+            throw error;
+        })));
+        const valid = rounds.filter(round => round && round.updatedAt.gt(0));
+        const batch = valid.map(toSample);
+        samples.push(...batch);
+        roundId = ids[ids.length - 1].sub(1);
+
+        if (valid.length < rounds.length) {
+            exhausted = true;
+            break;
+        }
+        if (batch.some(shouldStop)) break;
+    }
+
+    return { samples, oldestRoundId: roundId.add(1), exhausted };
+}
+
+// Fetches the rounds needed to cover `since`: new ones since the last visit, then older ones
+async function backfillFeedHistory(series, since) {
+    const feed = contracts[CHART_SERIES[series].feed];
+    if (!feed) return;
+
+    const chainId = activeNetwork.chainId;
+    const id = `${chainId}:${series}`;
+    const [decimals, latest, stored] = await Promise.all([
+        readContract(feed, 'decimals'),
+        readContract(feed, 'latestRoundData'),
+        getBackfillState(id)
+    ]);
+    const state = stored || { id, newestRoundId: null, oldestRoundId: null, oldestTimestamp: null, exhausted: false };
+    const toSample = round => roundToSample(chainId, series, round, decimals);
+
+    if (!state.newestRoundId) {
+        const result = await walkRounds(feed, latest.roundId, toSample, sample => sample.timestamp <= since);
+        await putPriceSamples(result.samples);
+        Object.assign(state, {
+            newestRoundId: latest.roundId.toString(),
+            oldestRoundId: result.oldestRoundId.toString(),
+            oldestTimestamp: Math.min(...result.samples.map(sample => sample.timestamp)),
+            exhausted: result.exhausted
+        });
+        await putBackfillState(state);
+        return;
+    }
+
+    // Rounds published since the last backfill
+    const newest = ethers.BigNumber.from(state.newestRoundId);
+    if (latest.roundId.gt(newest)) {
+        const result = await walkRounds(feed, latest.roundId, toSample, sample => ethers.BigNumber.from(sample.roundId).lte(newest));
+        await putPriceSamples(result.samples);
+        state.newestRoundId = latest.roundId.toString();
+    }
+
+    // Older rounds, if the window reaches further back than what is cached
+    if (!state.exhausted && state.oldestTimestamp > since) {
+        const result = await walkRounds(feed, ethers.BigNumber.from(state.oldestRoundId).sub(1), toSample, sample => sample.timestamp <= since);
+        await putPriceSamples(result.samples);
+        if (result.samples.length > 0) {
+            state.oldestTimestamp = Math.min(state.oldestTimestamp, ...result.samples.map(sample => sample.timestamp));
+        }
+        state.oldestRoundId = result.oldestRoundId.toString();
+        state.exhausted = result.exhausted;
+    }
+
+    await putBackfillState(state);
+}
+
+async function loadPriceChart() {
+    updateChartControls();
+    if (!activeNetwork || !contracts.ethPriceFeed || chartState.loading) return;
+
+    if (typeof indexedDB === 'undefined') {
+        setChartStatus('Price history needs IndexedDB, which this browser does not provide');
+        return;
+    }
+
+    const since = getChartWindowStart();
+    const feeds = chartState.series === 'RATE' ? ['ETH', 'BTC'] : [chartState.series];
+
+    chartState.loading = true;
+    setChartStatus('Loading oracle rounds...');
+
+    try {
+        await Promise.all(feeds.map(series => backfillFeedHistory(series, since)));
+        await renderPriceChart();
+    } catch (error) {
+        console.error('Failed to load price history:', error);
+        setChartStatus(`Failed to load price history: ${error.message}`);
+    } finally {
+        chartState.loading = false;
+    }
+}
+
+function getChartWindowStart() {
+    return Math.floor(Date.now() / 1000) - CHART_WINDOWS[chartState.window];
+}
+
+async function getChartPoints(series, since) {
+    const chainId = activeNetwork.chainId;
+    if (series !== 'RATE') {
+        return getPriceSamples(chainId, series, since);
+    }
+
+    // The rate at each oracle update is the BTC price over the latest ETH price
+    const [rateSamples, ethSamples, btcSamples] = await Promise.all([
+        getPriceSamples(chainId, 'RATE', since),
+        getPriceSamples(chainId, 'ETH', 0),
+        getPriceSamples(chainId, 'BTC', 0)
+    ]);
+
+    const latest = {};
+    const derived = [];
+    [...ethSamples, ...btcSamples]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(sample => {
+            latest[sample.series] = sample.value;
+            if (sample.timestamp >= since && latest.ETH && latest.BTC) {
+                derived.push({ timestamp: sample.timestamp, value: priceRatioToExchangeRate(latest.BTC / latest.ETH) });
+            }
+        });
+
+    return [...rateSamples, ...derived].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+async function renderPriceChart() {
+    const series = CHART_SERIES[chartState.series];
+    const since = getChartWindowStart();
+    const now = Math.floor(Date.now() / 1000);
+    const points = await getChartPoints(chartState.series, since);
+    const svg = document.getElementById('priceChart');
+
+    if (points.length < 2) {
+        svg.innerHTML = '';
+        ['chartLast', 'chartChange', 'chartHigh', 'chartLow'].forEach(id => {
+            document.getElementById(id).textContent = '--';
+        });
+        setChartStatus(`Not enough ${series.label} data for this window yet`);
+        return;
+    }
+
+    const values = points.map(point => point.value);
+    const high = Math.max(...values);
+    const low = Math.min(...values);
+    const first = values[0];
+    const last = values[values.length - 1];
+    const change = ((last - first) / first) * 100;
+
+    document.getElementById('chartLast').textContent = series.format(last);
+    document.getElementById('chartHigh').textContent = series.format(high);
+    document.getElementById('chartLow').textContent = series.format(low);
+    const changeElement = document.getElementById('chartChange');
+    changeElement.textContent = `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+    changeElement.style.color = change < 0 ? '#ef4444' : '#10b981';
+
+    // viewBox units; the SVG stretches to the card width
+    const width = 600;
+    const height = 220;
+    const padding = 10;
+    const range = high - low || 1;
+    const x = timestamp => ((timestamp - since) / (now - since)) * width;
+    const y = value => padding + (1 - (value - low) / range) * (height - 2 * padding);
+
+    const line = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.timestamp).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+    const area = `${line} L${x(points[points.length - 1].timestamp).toFixed(1)},${height} L${x(points[0].timestamp).toFixed(1)},${height} Z`;
+
+    svg.innerHTML = `
+        <path d="${area}" class="chart-area"></path>
+        <path d="${line}" class="chart-line"></path>
+    `;
+    setChartStatus(`${points.length} samples since ${new Date(since * 1000).toLocaleString()}`);
+}
+
+function updateChartControls() {
+    document.querySelectorAll('[data-chart-series]').forEach(button => {
+        button.classList.toggle('active', button.dataset.chartSeries === chartState.series);
+    });
+    document.querySelectorAll('[data-chart-window]').forEach(button => {
+        button.classList.toggle('active', button.dataset.chartWindow === chartState.window);
+    });
+}
+
+function setChartStatus(message) {
+    document.getElementById('chartStatus').textContent = message;
+}
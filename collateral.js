@@ -0,0 +1,217 @@
+// Collateral tokens
+// WETH is wrapped and unwrapped in place through the WETH contract's `deposit`
+// and `withdraw`. A WETH mint that is short of WETH can wrap the difference from
+// the native balance as the first step of its own tracker flow, before the
+// approval. Networks that list a WBTC faucet amount get a button that mints test
+// WBTC from the mock token; it only shows once a static call of `mint` succeeds,
+// so tokens without a public mint keep it hidden.
+const WETH_ABI = [
+    "function deposit() external payable",
+    "function withdraw(uint256 wad) external"
+];
+
+const FAUCET_ABI = [
+    "function mint(address to, uint256 amount) external"
+];
+
+// Native balance, WETH shortfall of the mint form and whether the WBTC faucet works here
+const collateralState = {
+    ethBalance: null,
+    wethBalance: null,
+    faucetKey: null,
+    faucetAvailable: false
+};
+
+function setupCollateralTokens() {
+    document.getElementById('wrapEth').addEventListener('click', () => submitWrap('wrap'));
+    document.getElementById('unwrapWeth').addEventListener('click', () => submitWrap('unwrap'));
+    document.getElementById('wethCollateral').addEventListener('input', updateWrapShortfall);
+    document.getElementById('mintTestWbtc').addEventListener('click', mintTestWbtc);
+}
+
+function getWethContract() {
+    return new ethers.Contract(CONTRACT_ADDRESSES.WETH, WETH_ABI, contracts.weth.signer || contracts.weth.provider);
+}
+
+function getFaucetContract() {
+    return new ethers.Contract(CONTRACT_ADDRESSES.WBTC, FAUCET_ABI, contracts.wbtc.signer || contracts.wbtc.provider);
+}
+
+function getFaucetAmount() {
+    const amount = activeNetwork && activeNetwork.faucets && activeNetwork.faucets.WBTC;
+    return amount ? parseTokenAmount(amount, 'WBTC') : null;
+}
+
+async function loadCollateralBalances() {
+    if (!contracts.weth || !userAddress) return;
+
+    try {
+        const account = userAddress;
+        const [ethBalance, wethBalance, wbtcBalance] = await Promise.all([
+            contracts.weth.provider.getBalance(account),
+            readContract(contracts.weth, 'balanceOf', [account]),
+            readContract(contracts.wbtc, 'balanceOf', [account])
+        ]);
+        if (account !== userAddress) return;
+
+        Object.assign(collateralState, { ethBalance, wethBalance });
+        document.getElementById('ethBalance').textContent = formatTokenWithSymbol(ethBalance, 'ETH');
+        document.getElementById('wethBalance').textContent = formatTokenAmount(wethBalance, 'WETH');
+        document.getElementById('wbtcBalance').textContent = formatTokenAmount(wbtcBalance, 'WBTC');
+        updateWrapShortfall();
+
+        await probeWbtcFaucet();
+    } catch (error) {
+        console.error('Failed to load collateral balances:', error);
+    }
+}
+
+function resetCollateralTokens() {
+    Object.assign(collateralState, { ethBalance: null, wethBalance: null, faucetKey: null, faucetAvailable: false });
+    ['ethBalance', 'wethBalance', 'wbtcBalance'].forEach(id => {
+        document.getElementById(id).textContent = id === 'ethBalance' ? '--' : '0.00';
+    });
+    document.getElementById('wrapShortfallRow').style.display = 'none';
+    document.getElementById('wbtcFaucet').style.display = 'none';
+}
+
+// Checked once per chain and account
+async function probeWbtcFaucet() {
+    const amount = getFaucetAmount();
+    const key = `${activeNetwork.chainId}:${userAddress}`;
+    if (collateralState.faucetKey === key) return;
+
+    collateralState.faucetKey = key;
+    collateralState.faucetAvailable = false;
+    if (amount) {
+        try {
+            await getFaucetContract().callStatic.mint(userAddress, amount, { from: userAddress });
+            collateralState.faucetAvailable = true;
+        } catch (error) {
+            console.warn('WBTC has no public mint on this network:', error.message);
+        }
+    }
+
+    document.getElementById('wbtcFaucet').style.display = collateralState.faucetAvailable ? '' : 'none';
+    document.getElementById('mintTestWbtc').textContent = amount ? `Get ${formatTokenWithSymbol(amount, 'WBTC')}` : '';
+}
+
+function getWethShortfallFor(amount) {
+    if (!collateralState.wethBalance || !amount || collateralState.wethBalance.gte(amount)) return null;
+    return amount.sub(collateralState.wethBalance);
+}
+
+// Offers to wrap the missing WETH when the collateral entered exceeds the balance
+function updateWrapShortfall() {
+    const row = document.getElementById('wrapShortfallRow');
+    let amount = null;
+    try {
+        const value = document.getElementById('wethCollateral').value;
+        amount = value ? parseTokenAmount(value, 'WETH') : null;
+    } catch (error) {
+        amount = null;
+    }
+
+    const shortfall = getWethShortfallFor(amount);
+    if (!shortfall) {
+        row.style.display = 'none';
+        return;
+    }
+
+    const covered = collateralState.ethBalance && collateralState.ethBalance.gt(shortfall);
+    document.getElementById('wrapShortfallText').textContent = covered
+        ? `Wrap the missing ${formatTokenWithSymbol(shortfall, 'WETH')} from ETH before minting`
+        : `You are ${formatTokenWithSymbol(shortfall, 'WETH')} short and hold only ${formatTokenWithSymbol(collateralState.ethBalance || ethers.BigNumber.from(0), 'ETH')}`;
+    document.getElementById('wrapShortfall').disabled = !covered;
+    row.style.display = '';
+}
+
+// WETH the mint still needs to wrap, or null; throws when it cannot be covered
+async function getWethToWrap(amount) {
+    const [wethBalance, ethBalance] = await Promise.all([
+        contracts.weth.balanceOf(userAddress),
+        contracts.weth.provider.getBalance(userAddress)
+    ]);
+    if (wethBalance.gte(amount)) return null;
+
+    const shortfall = amount.sub(wethBalance);
+    const insufficient = `Insufficient WETH balance. You have ${formatTokenWithSymbol(wethBalance, 'WETH')} but need ${formatTokenWithSymbol(amount, 'WETH')}`;
+    // Wrapping all of it would leave nothing for gas
+    if (ethBalance.lte(shortfall)) {
+        throw createActionError(insufficient, { remedy: `Your wallet holds ${formatTokenWithSymbol(ethBalance, 'ETH')}, not enough to wrap the difference` });
+    }
+    if (!document.getElementById('wrapShortfall').checked) {
+        throw createActionError(insufficient, { remedy: 'Tick "Wrap the missing WETH" or wrap ETH above the form' });
+    }
+    return shortfall;
+}
+
+// The wrap is the first step of the mint's tracker flow, like an approval
+async function wrapForFlow(amount, flow) {
+    const weth = getWethContract();
+    setTxFlowStage(flow, 'wrap');
+    const wrapTx = await weth.deposit({ value: amount, ...await getTxOverrides(weth, 'deposit', [{ value: amount }]) });
+    setTxFlowStage(flow, 'wrap', { wrapHash: wrapTx.hash });
+    await trackTransaction(wrapTx, 'Wrap', `${formatTokenWithSymbol(amount, 'ETH')} → WETH`);
+    setTxFlowStage(flow, 'sign');
+}
+
+async function submitWrap(direction) {
+    const value = document.getElementById('wrapAmount').value;
+    if (!value || !userAddress) {
+        showNotification('Please enter an amount and connect your wallet', 'error');
+        return;
+    }
+
+    const type = direction === 'wrap' ? 'Wrap' : 'Unwrap';
+    let flow = null;
+    try {
+        const amount = parseTokenAmount(value, 'WETH');
+        const weth = getWethContract();
+        const [fromSymbol, toSymbol] = direction === 'wrap' ? ['ETH', 'WETH'] : ['WETH', 'ETH'];
+
+        const balance = direction === 'wrap'
+            ? await contracts.weth.provider.getBalance(userAddress)
+            : await contracts.weth.balanceOf(userAddress);
+        if (balance.lt(amount)) {
+            throw createActionError(`Insufficient ${fromSymbol} balance. You have ${formatTokenWithSymbol(balance, fromSymbol)} but need ${value} ${fromSymbol}`);
+        }
+
+        const summary = `${formatTokenWithSymbol(amount, fromSymbol)} → ${toSymbol}`;
+        flow = startTxFlow(type, summary);
+
+        const result = direction === 'wrap'
+            ? await sendWrite(flow, weth, 'deposit', [], { value: amount })
+            : await sendWrite(flow, weth, 'withdraw', [amount]);
+        if (result.exported) return;
+
+        showNotification(`${direction === 'wrap' ? 'Wrapped' : 'Unwrapped'} ${summary}`, 'success');
+
+        document.getElementById('wrapAmount').value = '';
+        await loadCollateralBalances();
+
+    } catch (error) {
+        handleTransactionError(type, error, flow);
+    }
+}
+
+async function mintTestWbtc() {
+    const amount = getFaucetAmount();
+    if (!amount || !userAddress) return;
+
+    let flow = null;
+    try {
+        const faucet = getFaucetContract();
+        const summary = `${formatTokenWithSymbol(amount, 'WBTC')} from the test token`;
+        flow = startTxFlow('Faucet', summary);
+
+        const result = await sendWrite(flow, faucet, 'mint', [userAddress, amount]);
+        if (result.exported) return;
+
+        showNotification(`Received ${formatTokenWithSymbol(amount, 'WBTC')}`, 'success');
+        await loadCollateralBalances();
+
+    } catch (error) {
+        handleTransactionError('Get test WBTC', error, flow);
+    }
+}
@@ -0,0 +1,538 @@
+// Guided composite actions
+// Chains the existing writes into one action: deposit collateral -> mint -> swap
+// the minted coin to the other one, or swap the other coin -> repay a position.
+// Every intermediate amount is planned up front with the DEX rate and the
+// engines' collateral math. Steps then run one at a time, each as its own
+// tracker flow with its own approval, and the progress is stored per chain and
+// account so a failed or interrupted action resumes at the step that did not
+// finish instead of repeating the ones that did.
+const COMPOSITE_RECIPES = {
+    mintAndSwap: {
+        steps: ['mint', 'swap'],
+        title: position => `Deposit ${position.collateralSymbol} → mint ${position.debtSymbol} → swap to ${getOtherDebtSymbol(position)}`,
+        inputs: position => [`${position.collateralSymbol} to deposit`, `${position.debtSymbol} to mint and swap`]
+    },
+    swapAndRepay: {
+        steps: ['swap', 'repay'],
+        title: position => `Swap ${getOtherDebtSymbol(position)} → ${position.debtSymbol} → repay ${position.label}`,
+        inputs: position => [`${getOtherDebtSymbol(position)} to swap`, `${position.collateralSymbol} to withdraw (blank for the most allowed)`]
+    }
+};
+
+const COMPOSITE_STEP_LABELS = {
+    mint: 'Mint',
+    swap: 'Swap',
+    repay: 'Repay'
+};
+
+// Planned amounts are stored as decimal strings
+const COMPOSITE_AMOUNT_FIELDS = ['collateral', 'mint', 'swapIn', 'swapOut', 'burn', 'withdraw'];
+
+const compositeState = {
+    key: null,
+    // { recipe, positionKey, plan, steps: [{ id, status, flowId, hash, error }], startedAt }
+    action: null,
+    running: false,
+    // Plan for the inputs currently in the form
+    draft: null
+};
+
+function setupCompositeActions() {
+    const updatePlan = debounce(updateCompositePlan);
+    document.getElementById('compositeRecipe').addEventListener('change', updateCompositeForm);
+    document.getElementById('compositePosition').addEventListener('change', updateCompositeForm);
+    document.getElementById('compositeAmountA').addEventListener('input', updatePlan);
+    document.getElementById('compositeAmountB').addEventListener('input', updatePlan);
+    document.getElementById('compositeStart').addEventListener('click', startCompositeAction);
+    document.getElementById('compositeResume').addEventListener('click', runCompositeAction);
+    document.getElementById('compositeDiscard').addEventListener('click', discardCompositeAction);
+    updateCompositeForm();
+}
+
+function getOtherDebtSymbol(position) {
+    return position.debtSymbol === 'sETH' ? 'sBTC' : 'sETH';
+}
+
+function getCompositeKey() {
+    const historyKey = getHistoryKey();
+    return historyKey ? historyKey.replace('txHistory:', 'compositeAction:') : null;
+}
+
+function saveCompositeAction() {
+    if (compositeState.key) {
+        if (compositeState.action) {
+            localStorage.setItem(compositeState.key, JSON.stringify(compositeState.action));
+        } else {
+            localStorage.removeItem(compositeState.key);
+        }
+    }
+    renderCompositeProgress();
+}
+
+// Loads the connected account's unfinished action and settles a step that was
+// waiting on a transaction when the page closed
+async function restoreCompositeAction() {
+    compositeState.key = getCompositeKey();
+    compositeState.action = null;
+    compositeState.running = false;
+
+    if (compositeState.key) {
+        try {
+            compositeState.action = JSON.parse(localStorage.getItem(compositeState.key));
+        } catch (error) {
+            console.warn('Discarding an unreadable composite action:', error);
+        }
+    }
+    renderCompositeProgress();
+
+    const sent = compositeState.action && compositeState.action.steps.find(step => step.status === 'running' || (step.status === 'failed' && step.hash));
+    if (sent) {
+        try {
+            await settleCompositeStep(sent);
+            saveCompositeAction();
+        } catch (error) {
+            // Resume settles the step again before sending anything
+            console.error('Failed to check the guided action in progress:', error);
+        }
+    }
+}
+
+function resetCompositeActions() {
+    compositeState.key = null;
+    compositeState.action = null;
+    compositeState.running = false;
+    renderCompositeProgress();
+}
+
+// Settles a step from its transaction before anything is re-sent: a step can fail
+// locally (a rejected waiter, a closed page) after its transaction was mined
+async function settleCompositeStep(step) {
+    const flow = txTracker.flows.find(item => item.id === step.flowId);
+    const hashes = [...new Set([step.hash, ...(flow ? [flow.hash, ...flow.hashes] : [])].filter(Boolean))];
+
+    if (flow && flow.stage === 'confirmed') {
+        Object.assign(step, { status: 'done', hash: flow.hash, error: null });
+        return;
+    }
+    if (hashes.length === 0) {
+        if (step.status === 'running') {
+            Object.assign(step, { status: 'failed', error: 'The page was closed before the transaction was sent' });
+        }
+        return;
+    }
+
+    for (const hash of hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+            Object.assign(step, receipt.status === 1
+                ? { status: 'done', hash, error: null }
+                : { status: 'failed', hash, error: 'The transaction reverted' });
+            return;
+        }
+    }
+    // Still pending: Resume checks again instead of sending a second transaction
+    Object.assign(step, { status: 'running', error: null });
+}
+
+function readCompositeInput(id, symbol) {
+    const value = document.getElementById(id).value;
+    try {
+        return value ? parseTokenAmount(value, symbol) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function updateCompositeForm() {
+    const recipe = COMPOSITE_RECIPES[document.getElementById('compositeRecipe').value];
+    const position = POSITIONS[document.getElementById('compositePosition').value];
+    const [labelA, labelB] = recipe.inputs(position);
+
+    document.getElementById('compositeTitle').textContent = recipe.title(position);
+    document.getElementById('compositeAmountALabel').textContent = labelA;
+    document.getElementById('compositeAmountBLabel').textContent = labelB;
+    updateCompositePlan();
+}
+
+// Reads the chain state a plan depends on
+async function loadCompositeContext(positionKey) {
+    const position = POSITIONS[positionKey];
+    const engine = contracts[position.engine];
+
+    const [exchangeRate, price, deposit, details, engineBalance, dexSethBalance, dexSbtcBalance, ...balances] = await Promise.all([
+        readContract(contracts.dex, 'getExchangeRate'),
+        readContract(engine, 'getLatestPrice'),
+        userAddress ? readContract(engine, 'collateralDeposits', [userAddress]) : ethers.BigNumber.from(0),
+        userAddress ? readContract(engine, 'getUserDetails', [userAddress]) : null,
+        readContract(contracts[position.debtToken], 'balanceOf', [CONTRACT_ADDRESSES[position.engineAddress]]),
+        readContract(contracts.stableCoin, 'balanceOf', [CONTRACT_ADDRESSES.DEX]),
+        readContract(contracts.stableCoinWBTC, 'balanceOf', [CONTRACT_ADDRESSES.DEX]),
+        ...[position.collateralSymbol, 'sETH', 'sBTC'].map(symbol => userAddress
+            ? readContract(contracts[TOKENS[symbol].contract], 'balanceOf', [userAddress])
+            : null)
+    ]);
+
+    return {
+        exchangeRate,
+        price,
+        deposit,
+        debt: details ? details[1] : ethers.BigNumber.from(0),
+        engineBalance,
+        pool: { sETH: dexSethBalance, sBTC: dexSbtcBalance },
+        wallet: { [position.collateralSymbol]: balances[0], sETH: balances[1], sBTC: balances[2] }
+    };
+}
+
+function getHealthFactorFor(deposit, debt, price) {
+    if (debt.isZero()) return ethers.constants.MaxUint256;
+    return getCollateralValue(deposit, price).mul(ethers.constants.WeiPerEther).div(debt);
+}
+
+// { plan, lines, error } for the recipe; amounts are BigNumbers
+function planCompositeAction(recipeId, positionKey, amountA, amountB, context) {
+    const position = POSITIONS[positionKey];
+    const otherSymbol = getOtherDebtSymbol(position);
+    const { exchangeRate, price, deposit, debt, engineBalance, pool, wallet } = context;
+
+    if (recipeId === 'mintAndSwap') {
+        const collateral = amountA;
+        const mint = amountB;
+        const swapOut = getSwapAmountOut(position.debtSymbol, mint, exchangeRate);
+        const healthFactor = getHealthFactorFor(deposit.add(collateral), debt.add(mint), price);
+
+        const lines = [
+            `Deposit ${formatTokenWithSymbol(collateral, position.collateralSymbol)} and mint ${formatTokenWithSymbol(mint, position.debtSymbol)}; health factor after: ${formatHealthFactor(healthFactor)}`,
+            `Swap ${formatTokenWithSymbol(mint, position.debtSymbol)} → ${formatTokenWithSymbol(swapOut, otherSymbol)} (at least ${formatTokenWithSymbol(applySlippage(swapOut), otherSymbol)})`
+        ];
+
+        let error = null;
+        if (wallet[position.collateralSymbol] && wallet[position.collateralSymbol].lt(collateral)) {
+            error = `Your wallet holds ${formatTokenWithSymbol(wallet[position.collateralSymbol], position.collateralSymbol)}`;
+        } else if (getCollateralValue(collateral, price).lt(mint)) {
+            error = 'The engine only mints up to the value of the collateral deposited';
+        } else if (healthFactor.lt(LIQUIDATION_THRESHOLD)) {
+            error = 'The position would be below a 1.5 health factor and liquidatable';
+        } else if (pool[otherSymbol].lt(swapOut)) {
+            error = `The DEX holds only ${formatTokenWithSymbol(pool[otherSymbol], otherSymbol)} to pay out the swap`;
+        }
+
+        return { plan: { collateral, mint, swapFrom: position.debtSymbol, swapIn: mint, swapOut }, lines, error };
+    }
+
+    const swapIn = amountA;
+    const swapOut = getSwapAmountOut(otherSymbol, swapIn, exchangeRate);
+    // The engines burn from their own balance, not the caller's, so that also caps the
+    // burn; anything received beyond it stays in the wallet
+    const burn = [swapOut, debt, engineBalance].reduce((min, amount) => (amount.lt(min) ? amount : min));
+    const maxByBurn = burn.mul(PRICE_PRECISION).div(price);
+    const maxWithdraw = maxByBurn.lt(deposit) ? maxByBurn : deposit;
+    const withdraw = amountB || maxWithdraw;
+    const healthFactor = getHealthFactorFor(deposit.sub(withdraw.lt(deposit) ? withdraw : deposit), debt.sub(burn), price);
+
+    const lines = [
+        `Swap ${formatTokenWithSymbol(swapIn, otherSymbol)} → ${formatTokenWithSymbol(swapOut, position.debtSymbol)} (at least ${formatTokenWithSymbol(applySlippage(swapOut), position.debtSymbol)})`,
+        `Burn ${formatTokenWithSymbol(burn, position.debtSymbol)} and withdraw ${formatTokenWithSymbol(withdraw, position.collateralSymbol)}; health factor after: ${formatHealthFactor(healthFactor)}`
+    ];
+
+    let error = null;
+    if (debt.isZero()) {
+        error = `You have no ${position.debtSymbol} debt to repay`;
+    } else if (engineBalance.isZero()) {
+        error = `The engine holds no ${position.debtSymbol} to burn; it cannot burn the ${position.debtSymbol} in your wallet`;
+    } else if (wallet[otherSymbol] && wallet[otherSymbol].lt(swapIn)) {
+        error = `Your wallet holds ${formatTokenWithSymbol(wallet[otherSymbol], otherSymbol)}`;
+    } else if (pool[position.debtSymbol].lt(swapOut)) {
+        error = `The DEX holds only ${formatTokenWithSymbol(pool[position.debtSymbol], position.debtSymbol)} to pay out the swap`;
+    } else if (withdraw.isZero()) {
+        error = 'The engine requires a withdrawal greater than zero with every repayment';
+    } else if (withdraw.gt(maxWithdraw)) {
+        error = `You can withdraw at most ${formatTokenWithSymbol(maxWithdraw, position.collateralSymbol)} for this repayment`;
+    }
+
+    return { plan: { swapFrom: otherSymbol, swapIn, swapOut, burn, withdraw }, lines, error };
+}
+
+async function updateCompositePlan() {
+    const recipeId = document.getElementById('compositeRecipe').value;
+    const positionKey = document.getElementById('compositePosition').value;
+    const position = POSITIONS[positionKey];
+    const preview = document.getElementById('compositePreview');
+    const errorElement = document.getElementById('compositeError');
+
+    const [symbolA, symbolB] = recipeId === 'mintAndSwap'
+        ? [position.collateralSymbol, position.debtSymbol]
+        : [getOtherDebtSymbol(position), position.collateralSymbol];
+    const amountA = readCompositeInput('compositeAmountA', symbolA);
+    const amountB = readCompositeInput('compositeAmountB', symbolB);
+
+    compositeState.draft = null;
+    if (!contracts.dex || !amountA || amountA.isZero() || (recipeId === 'mintAndSwap' && (!amountB || amountB.isZero()))) {
+        preview.innerHTML = '';
+        errorElement.textContent = '';
+        return;
+    }
+
+    try {
+        const context = await loadCompositeContext(positionKey);
+        const { plan, lines, error } = planCompositeAction(recipeId, positionKey, amountA, amountB, context);
+
+        preview.innerHTML = lines.map(line => `<li>${line}</li>`).join('');
+        errorElement.textContent = error || '';
+        compositeState.draft = error ? null : { recipe: recipeId, positionKey, plan };
+    } catch (error) {
+        console.error('Failed to plan the composite action:', error);
+        preview.innerHTML = '';
+        errorElement.textContent = `Failed to plan: ${error.message}`;
+    }
+}
+
+function serializePlan(plan) {
+    const serialized = { swapFrom: plan.swapFrom };
+    COMPOSITE_AMOUNT_FIELDS.forEach(field => {
+        if (plan[field]) serialized[field] = plan[field].toString();
+    });
+    return serialized;
+}
+
+function deserializePlan(plan) {
+    const restored = { swapFrom: plan.swapFrom };
+    COMPOSITE_AMOUNT_FIELDS.forEach(field => {
+        if (plan[field]) restored[field] = ethers.BigNumber.from(plan[field]);
+    });
+    return restored;
+}
+
+async function startCompositeAction() {
+    if (!userAddress) {
+        showNotification('Connect your wallet first', 'error');
+        return;
+    }
+    if (compositeState.action) {
+        showNotification('Resume or discard the guided action in progress first', 'warning');
+        return;
+    }
+    if (getTxMode() === 'safe') {
+        showNotification('Guided actions need each step mined before the next; switch the transaction mode in the Approvals tab', 'warning');
+        return;
+    }
+
+    await updateCompositePlan();
+    const draft = compositeState.draft;
+    if (!draft) {
+        showNotification(document.getElementById('compositeError').textContent || 'Enter the amounts first', 'error');
+        return;
+    }
+
+    compositeState.action = {
+        recipe: draft.recipe,
+        positionKey: draft.positionKey,
+        plan: serializePlan(draft.plan),
+        steps: COMPOSITE_RECIPES[draft.recipe].steps.map(id => ({ id, status: 'pending', flowId: null, hash: null, error: null })),
+        startedAt: Date.now()
+    };
+    saveCompositeAction();
+
+    document.getElementById('compositeAmountA').value = '';
+    document.getElementById('compositeAmountB').value = '';
+    updateCompositePlan();
+
+    await runCompositeAction();
+}
+
+// Runs the remaining steps in order and stops at the first failure
+async function runCompositeAction() {
+    const action = compositeState.action;
+    if (!action || compositeState.running) return;
+    if (getTxMode() === 'safe') {
+        showNotification('Guided actions need each step mined before the next; switch the transaction mode in the Approvals tab', 'warning');
+        return;
+    }
+
+    compositeState.running = true;
+    try {
+        for (const step of action.steps) {
+            if (step.status === 'done') continue;
+
+            if (step.status === 'running' || step.hash) {
+                await settleCompositeStep(step);
+                saveCompositeAction();
+                if (step.status === 'done') continue;
+                if (step.status === 'running') {
+                    showNotification(`The ${COMPOSITE_STEP_LABELS[step.id].toLowerCase()} transaction is still pending; resume once it confirms`, 'info');
+                    return;
+                }
+            }
+
+            const attempt = { flow: null };
+            Object.assign(step, { status: 'running', flowId: null, hash: null, error: null });
+            saveCompositeAction();
+
+            try {
+                await COMPOSITE_STEP_EXECUTORS[step.id](action, step, attempt);
+                Object.assign(step, { status: 'done', hash: attempt.flow.hash });
+                saveCompositeAction();
+            } catch (error) {
+                Object.assign(step, { status: 'failed', error: describeError(error).message });
+                saveCompositeAction();
+                handleTransactionError(`Guided ${COMPOSITE_STEP_LABELS[step.id].toLowerCase()}`, error, attempt.flow);
+                return;
+            }
+        }
+
+        showNotification('Guided action completed', 'success');
+        compositeState.action = null;
+        saveCompositeAction();
+        await loadUserData();
+    } finally {
+        compositeState.running = false;
+        renderCompositeProgress();
+    }
+}
+
+function discardCompositeAction() {
+    if (compositeState.running) return;
+
+    compositeState.action = null;
+    saveCompositeAction();
+}
+
+// Records the flow and hash on the step before waiting, so a reload can settle it
+async function sendCompositeStep(step, attempt, contract, method, args, options = {}) {
+    const result = await sendWrite(attempt.flow, contract, method, args, {
+        ...options,
+        onSent: (hash) => {
+            Object.assign(step, { flowId: attempt.flow.id, hash });
+            saveCompositeAction();
+        }
+    });
+    // The mode was switched to Safe mid-action: the step was saved to a file, not sent
+    if (result.exported) {
+        throw createActionError('The step was saved as a Safe file instead of sent', {
+            remedy: 'Switch the transaction mode in the Approvals tab and resume',
+            level: 'warning'
+        });
+    }
+}
+
+async function executeMintStep(action, step, attempt) {
+    const position = POSITIONS[action.positionKey];
+    const { collateral, mint } = deserializePlan(action.plan);
+    const collateralToken = contracts[action.positionKey];
+
+    const balance = await collateralToken.balanceOf(userAddress);
+    if (balance.lt(collateral)) {
+        throw createActionError(`Insufficient ${position.collateralSymbol} balance. You have ${formatTokenWithSymbol(balance, position.collateralSymbol)} but need ${formatTokenWithSymbol(collateral, position.collateralSymbol)}`);
+    }
+
+    attempt.flow = startTxFlow('Mint', `${formatTokenWithSymbol(collateral, position.collateralSymbol)} → ${formatTokenWithSymbol(mint, position.debtSymbol)}`);
+    await sendCompositeStep(step, attempt, contracts.dex, position.mintMethod, [collateral, mint], {
+        approval: { token: collateralToken, spender: CONTRACT_ADDRESSES.DEX, amount: collateral }
+    });
+}
+
+async function executeSwapStep(action, step, attempt) {
+    const { swapFrom, swapIn, swapOut } = deserializePlan(action.plan);
+    const outputToken = swapFrom === 'sETH' ? 'sBTC' : 'sETH';
+    const tokenContract = contracts[TOKENS[swapFrom].contract];
+
+    const balance = await tokenContract.balanceOf(userAddress);
+    if (balance.lt(swapIn)) {
+        throw createActionError(`Insufficient ${swapFrom} balance. You have ${formatTokenWithSymbol(balance, swapFrom)} but need ${formatTokenWithSymbol(swapIn, swapFrom)}`);
+    }
+
+    await updatePriceFeedStatus();
+    const staleFeeds = getStalePriceFeeds();
+    if (staleFeeds.length > 0) {
+        throw createActionError(`The ${staleFeeds.map(asset => `${asset}/USD`).join(' and ')} price feed has not updated for over ${formatAge(PRICE_FEED_STALE_SECONDS)}. Resume once the oracle updates.`, { level: 'warning' });
+    }
+
+    attempt.flow = startTxFlow('Swap', `${formatTokenWithSymbol(swapIn, swapFrom)} → ${formatTokenWithSymbol(swapOut, outputToken)}`);
+    await sendCompositeStep(step, attempt, contracts.dex, getSwapMethod(swapFrom), [swapIn], {
+        approval: { token: tokenContract, spender: CONTRACT_ADDRESSES.DEX, amount: swapIn },
+        // Same guard as a manual swap: the DEX takes no minimum output. The new quote
+        // replaces the planned output, so Resume swaps at it unless the rate moves again
+        beforeSend: async () => {
+            const requotedAmountOut = getSwapAmountOut(swapFrom, swapIn, await contracts.dex.getExchangeRate());
+            if (requotedAmountOut.lt(applySlippage(swapOut))) {
+                action.plan = serializePlan({ ...deserializePlan(action.plan), swapOut: requotedAmountOut });
+                throw createActionError(`Price moved beyond your ${getSlippagePercent()}% slippage tolerance: you would receive ${formatTokenWithSymbol(requotedAmountOut, outputToken)} instead of ${formatTokenWithSymbol(swapOut, outputToken)}. Resume to swap at the new rate, or discard.`, { level: 'warning' });
+            }
+        }
+    });
+}
+
+// Burns up to the plan, capped by what the engine holds now, and withdraws what that allows
+async function executeRepayStep(action, step, attempt) {
+    const position = POSITIONS[action.positionKey];
+    const engine = contracts[position.engine];
+    const debtToken = contracts[position.debtToken];
+    const plan = deserializePlan(action.plan);
+
+    const [balance, details, deposit, price] = await Promise.all([
+        debtToken.balanceOf(CONTRACT_ADDRESSES[position.engineAddress]),
+        engine.getUserDetails(userAddress),
+        engine.collateralDeposits(userAddress),
+        engine.getLatestPrice()
+    ]);
+    const debt = details[1];
+    const burn = [plan.burn, balance, debt].reduce((min, amount) => (amount.lt(min) ? amount : min));
+    const maxByBurn = burn.mul(PRICE_PRECISION).div(price);
+    const maxWithdraw = maxByBurn.lt(deposit) ? maxByBurn : deposit;
+    const withdraw = plan.withdraw.lt(maxWithdraw) ? plan.withdraw : maxWithdraw;
+
+    if (burn.isZero() || withdraw.isZero()) {
+        throw createActionError(`Nothing to repay: the engine holds ${formatTokenWithSymbol(balance, position.debtSymbol)} to burn against ${formatTokenWithSymbol(debt, position.debtSymbol)} of debt`, {
+            remedy: `The engine burns its own ${position.debtSymbol}, not the ${position.debtSymbol} in your wallet`
+        });
+    }
+
+    attempt.flow = startTxFlow('Repay', `Burned ${formatTokenWithSymbol(burn, position.debtSymbol)} and withdrew ${formatTokenWithSymbol(withdraw, position.collateralSymbol)}`);
+    await sendCompositeStep(step, attempt, engine, position.burnMethod, [burn, withdraw]);
+}
+
+const COMPOSITE_STEP_EXECUTORS = {
+    mint: executeMintStep,
+    swap: executeSwapStep,
+    repay: executeRepayStep
+};
+
+function renderCompositeProgress() {
+    const container = document.getElementById('compositeProgress');
+    const action = compositeState.action;
+
+    if (!action) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const position = POSITIONS[action.positionKey];
+    const plan = deserializePlan(action.plan);
+    const failed = action.steps.some(step => step.status === 'failed');
+    const pending = action.steps.some(step => step.status === 'running');
+
+    document.getElementById('compositeProgressTitle').textContent = COMPOSITE_RECIPES[action.recipe].title(position);
+    document.getElementById('compositeSteps').innerHTML = action.steps.map(step => `
+        <li class="composite-step ${step.status}">
+            <span class="composite-step-label">${COMPOSITE_STEP_LABELS[step.id]}: ${describeCompositeStep(step.id, position, plan)}</span>
+            <span class="composite-step-status">${step.status === 'running' ? 'in progress' : step.status}${step.hash ? ` · ${formatTxLink(step.hash)}` : ''}</span>
+            ${step.error ? `<small class="form-error">${step.error}</small>` : ''}
+        </li>
+    `).join('');
+
+    document.getElementById('compositeResume').style.display = (failed || pending) && !compositeState.running ? '' : 'none';
+    document.getElementById('compositeDiscard').style.display = compositeState.running ? 'none' : '';
+    container.style.display = 'block';
+}
+
+function describeCompositeStep(stepId, position, plan) {
+    const outputToken = plan.swapFrom === 'sETH' ? 'sBTC' : 'sETH';
+    switch (stepId) {
+        case 'mint':
+            return `${formatTokenWithSymbol(plan.collateral, position.collateralSymbol)} → ${formatTokenWithSymbol(plan.mint, position.debtSymbol)}`;
+        case 'swap':
+            return `${formatTokenWithSymbol(plan.swapIn, plan.swapFrom)} → ~${formatTokenWithSymbol(plan.swapOut, outputToken)}`;
+        case 'repay':
+            return `burn up to ${formatTokenWithSymbol(plan.burn, position.debtSymbol)}, withdraw up to ${formatTokenWithSymbol(plan.withdraw, position.collateralSymbol)}`;
+    }
+    return '';
+}
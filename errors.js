@@ -0,0 +1,227 @@
+// Transaction errors
+// Every write simulates its call with callStatic before asking the wallet to sign,
+// so a revert surfaces with the contract's require message instead of an opaque
+// gas estimation failure. describeError turns wallet, provider and revert errors
+// into a message, a suggested remedy and a notification level; the page's own
+// pre-checks throw createActionError with text that is already user-facing.
+
+// Matched against the start of the revert string; the WBTC engine truncates some
+const REVERT_MESSAGES = [
+    {
+        reason: 'DEX: insufficient sETH liquidity',
+        message: 'The DEX does not hold enough sETH to pay out this swap',
+        remedy: 'Swap a smaller amount or add sETH in the Liquidity tab'
+    },
+    {
+        reason: 'DEX: insufficient sBTC liquidity',
+        message: 'The DEX does not hold enough sBTC to pay out this swap',
+        remedy: 'Swap a smaller amount or add sBTC in the Liquidity tab'
+    },
+    {
+        reason: 'Insufficient collateral value',
+        message: 'The collateral is worth less than the amount you are minting',
+        remedy: 'Deposit more collateral or mint less'
+    },
+    {
+        reason: 'Insufficient burn amount for the requested',
+        message: 'The collateral you are withdrawing is worth more than the debt you are burning',
+        remedy: 'Burn more or withdraw less'
+    },
+    {
+        reason: 'Insufficient stablecoin',
+        message: 'You are burning more than the debt you minted',
+        remedy: 'Burn at most your outstanding debt'
+    },
+    {
+        reason: 'Insufficient balance to burn',
+        message: 'The engine holds less of the stablecoin than the amount being burned',
+        remedy: 'The engines burn from their own balance, not your wallet; burn at most the engine balance shown in the repay dialog'
+    },
+    {
+        reason: 'Health factor is ok',
+        message: 'This position is healthy and cannot be liquidated',
+        remedy: 'sETH positions can only be liquidated below a 1.5 health factor'
+    },
+    {
+        reason: 'Health factor still not ok after liquidation',
+        message: 'Covering this amount leaves the position below a 1.5 health factor',
+        remedy: 'Cover more debt; the calculator shows the valid range'
+    },
+    {
+        reason: 'User debt is less than the amount to cover',
+        message: 'The amount to cover is larger than the position\'s debt',
+        remedy: 'Cover at most the position\'s debt'
+    },
+    {
+        reason: 'Not enough collateral to seize',
+        message: 'At the oracle price this amount would seize more collateral than the position has deposited',
+        remedy: 'Cover less debt'
+    },
+    {
+        reason: 'Invalid price',
+        message: 'The Chainlink price feed returned no price',
+        remedy: 'Try again once the oracle updates'
+    },
+    {
+        reason: 'Invalid user address',
+        message: 'The position address is not valid',
+        remedy: 'Check the address you entered'
+    },
+    {
+        reason: 'ERC20: insufficient allowance',
+        message: 'The contract is not approved to spend this amount',
+        remedy: 'Approve the token again and retry'
+    },
+    {
+        reason: 'ERC20InsufficientAllowance',
+        message: 'The contract is not approved to spend this amount',
+        remedy: 'Approve the token again and retry'
+    },
+    {
+        reason: 'ERC20: transfer amount exceeds balance',
+        message: 'A token transfer exceeds the sender\'s balance',
+        remedy: 'Check your balance and use a smaller amount'
+    },
+    {
+        reason: 'ERC20InsufficientBalance',
+        message: 'A token transfer exceeds the sender\'s balance',
+        remedy: 'Check your balance and use a smaller amount'
+    }
+];
+
+// "Amount must be greater than zero", "Amount in must be > 0", ...
+const ZERO_AMOUNT_REVERT = /(amount|debt to cover).*(greater than zero|> 0)/i;
+
+// Transfer wrappers in the engines and the DEX
+const TRANSFER_FAILED_REVERT = /(transfer|pull \w+|send \w+) failed/i;
+
+// OpenZeppelin 5 reverts with custom errors instead of strings
+const ERC20_ERRORS_INTERFACE = new ethers.utils.Interface([
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)"
+]);
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_MESSAGES = {
+    0x01: 'an internal assertion failed',
+    0x11: 'an amount overflowed or went below zero',
+    0x12: 'it divided by zero'
+};
+
+function createActionError(message, { remedy = null, level = 'error' } = {}) {
+    const error = new Error(message);
+    error.isActionError = true;
+    error.remedy = remedy;
+    error.level = level;
+    return error;
+}
+
+// Dry-runs a write against the current state; reverts throw before the wallet prompts
+async function simulateWrite(contract, method, args = []) {
+    return contract.callStatic[method](...args);
+}
+
+function isUserRejection(error) {
+    return error.code === 4001 || error.code === 'ACTION_REJECTED' ||
+        Boolean(error.error && error.error.code === 4001);
+}
+
+// Wallets nest the JSON-RPC error at different depths; returns the first revert payload found
+function findRevertData(error, depth = 0) {
+    if (!error || depth > 4) return null;
+
+    if (typeof error === 'string') {
+        return /^0x[0-9a-f]{8}/i.test(error) ? error : null;
+    }
+    if (typeof error !== 'object') return null;
+
+    for (const key of ['data', 'error', 'originalError']) {
+        const found = findRevertData(error[key], depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+function decodeRevertData(data) {
+    const selector = data.slice(0, 10).toLowerCase();
+
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
+        }
+        if (selector === PANIC_SELECTOR) {
+            const code = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4))[0].toNumber();
+            return `Panic: ${PANIC_MESSAGES[code] || `code 0x${code.toString(16)}`}`;
+        }
+        return ERC20_ERRORS_INTERFACE.parseError(data).name;
+    } catch (decodeError) {
+        return null;
+    }
+}
+
+// The contract's revert reason, or null when the error is not a revert
+function getRevertReason(error) {
+    const data = findRevertData(error);
+    const decoded = data ? decodeRevertData(data) : null;
+    if (decoded) return decoded;
+
+    if (error.reason && error.code === 'CALL_EXCEPTION') return error.reason;
+
+    const match = /execution reverted:\s*([^"\n]+)/.exec(error.message || '');
+    return match ? match[1].trim() : null;
+}
+
+function describeRevert(reason) {
+    const known = REVERT_MESSAGES.find(entry => reason.startsWith(entry.reason));
+    if (known) return { message: known.message, remedy: known.remedy };
+
+    if (ZERO_AMOUNT_REVERT.test(reason)) {
+        return { message: 'The amount must be greater than zero', remedy: 'Enter a positive amount' };
+    }
+    if (TRANSFER_FAILED_REVERT.test(reason)) {
+        return { message: 'A token transfer inside the contract failed', remedy: 'Check your balance and allowance' };
+    }
+    if (reason.startsWith('Panic: ')) {
+        return { message: `The contract reverted because ${reason.slice(7)}`, remedy: 'Check the amounts you entered' };
+    }
+    return { message: `The contract reverted: ${reason}`, remedy: null };
+}
+
+// { message, remedy, level } for any error thrown by a write path
+function describeError(error) {
+    if (error.isActionError) {
+        return { message: error.message, remedy: error.remedy, level: error.level };
+    }
+    if (isUserRejection(error)) {
+        return { message: 'Transaction rejected in your wallet', remedy: null, level: 'warning' };
+    }
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+        return { message: 'Not enough ETH to pay for gas', remedy: 'Add ETH to your wallet and retry', level: 'error' };
+    }
+
+    const reason = getRevertReason(error);
+    if (reason) {
+        return { ...describeRevert(reason), level: 'error' };
+    }
+
+    if (error.code === 'UNPREDICTABLE_GAS_LIMIT' || error.code === 'CALL_EXCEPTION') {
+        return { message: 'The transaction would fail', remedy: 'Check your balances and the amounts entered', level: 'error' };
+    }
+    if (error.code === 'NETWORK_ERROR' || error.code === 'TIMEOUT' || error.code === 'SERVER_ERROR') {
+        return { message: 'The network request failed', remedy: 'Check your connection and retry', level: 'error' };
+    }
+    return { message: error.reason || error.message, remedy: null, level: 'error' };
+}
+
+// Also marks the write's tracker flow, if it had started one, as failed
+function handleTransactionError(action, error, flow = null) {
+    console.error(`${action} failed:`, error);
+
+    const { message, remedy, level } = describeError(error);
+    if (flow) failTxFlow(flow, message);
+
+    const text = level === 'error' ? `${action} failed: ${message}` : message;
+    showNotification(remedy ? `${text.replace(/\.$/, '')}. ${remedy}.` : text, level);
+}
@@ -0,0 +1,162 @@
+// Gas estimation and fee presets
+// Every write is sent with a gas limit from estimateGas (plus a buffer) and fees
+// from getFeeData scaled by the selected preset. Each form shows the same numbers
+// before submitting: gas units, the max fee per gas and the USD cost at the ETH
+// engine's price. Before an approval the action cannot be estimated, so the
+// preview falls back to a typical gas amount for it.
+const FEE_PRESETS = {
+    slow: { label: 'Slow', priorityPercent: 50, baseFeePercent: 125, gasPricePercent: 90 },
+    normal: { label: 'Normal', priorityPercent: 100, baseFeePercent: 200, gasPricePercent: 100 },
+    fast: { label: 'Fast', priorityPercent: 200, baseFeePercent: 250, gasPricePercent: 130 }
+};
+const DEFAULT_FEE_PRESET = 'normal';
+const GAS_LIMIT_BUFFER_PERCENT = 20;
+
+// Used by previews when the call cannot be estimated yet
+const TYPICAL_GAS_LIMITS = {
+    swap: 300000,
+    mintSETH: 500000,
+    mintSBTC: 500000,
+    repay: 250000,
+    liquidation: 200000,
+    liquidity: 65000
+};
+
+const feeState = {
+    // formId -> { gasLimit, estimated, feeData, ethPrice }
+    previews: {},
+    timers: {},
+    requests: {}
+};
+
+function setupFeePreviews() {
+    document.querySelectorAll('[data-fee-preset]').forEach(button => {
+        button.addEventListener('click', () => setFeePreset(button.dataset.feePreset));
+    });
+    updateFeePresetButtons();
+}
+
+function getFeePreset() {
+    const stored = localStorage.getItem('feePreset');
+    return FEE_PRESETS[stored] ? stored : DEFAULT_FEE_PRESET;
+}
+
+function setFeePreset(preset) {
+    if (!FEE_PRESETS[preset]) return;
+
+    localStorage.setItem('feePreset', preset);
+    updateFeePresetButtons();
+    Object.keys(feeState.previews).forEach(renderFeePreview);
+    updateLiquidationCalculator();
+}
+
+function updateFeePresetButtons() {
+    const preset = getFeePreset();
+    document.querySelectorAll('[data-fee-preset]').forEach(button => {
+        button.classList.toggle('active', button.dataset.feePreset === preset);
+    });
+}
+
+// EIP-1559 fee fields, or a gas price on chains without a base fee
+function getPresetFees(feeData, preset = getFeePreset()) {
+    const config = FEE_PRESETS[preset];
+
+    if (feeData.lastBaseFeePerGas && feeData.maxPriorityFeePerGas) {
+        const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas.mul(config.priorityPercent).div(100);
+        return {
+            maxFeePerGas: feeData.lastBaseFeePerGas.mul(config.baseFeePercent).div(100).add(maxPriorityFeePerGas),
+            maxPriorityFeePerGas
+        };
+    }
+    return { gasPrice: feeData.gasPrice.mul(config.gasPricePercent).div(100) };
+}
+
+// What a transaction is expected to pay per gas if included at the current base fee
+function getExpectedGasPrice(feeData, fees) {
+    if (!fees.maxFeePerGas) return fees.gasPrice;
+
+    const expected = feeData.lastBaseFeePerGas.add(fees.maxPriorityFeePerGas);
+    return expected.lt(fees.maxFeePerGas) ? expected : fees.maxFeePerGas;
+}
+
+function addGasBuffer(gasLimit) {
+    return gasLimit.mul(100 + GAS_LIMIT_BUFFER_PERCENT).div(100);
+}
+
+// Overrides for sending `contract[method](...args)` with the selected preset
+async function getTxOverrides(contract, method, args = []) {
+    const [gasEstimate, feeData] = await Promise.all([
+        contract.estimateGas[method](...args),
+        contract.provider.getFeeData()
+    ]);
+    return { gasLimit: addGasBuffer(gasEstimate), ...getPresetFees(feeData) };
+}
+
+// Refreshes a form's preview for `call` ({ contract, method, args }), or clears it
+function updateFeePreview(formId, call) {
+    clearTimeout(feeState.timers[formId]);
+
+    if (!call) {
+        delete feeState.previews[formId];
+        renderFeePreview(formId);
+        return;
+    }
+    feeState.timers[formId] = setTimeout(() => loadFeePreview(formId, call), QUOTE_DEBOUNCE_MS);
+}
+
+async function loadFeePreview(formId, { contract, method, args }) {
+    const request = (feeState.requests[formId] || 0) + 1;
+    feeState.requests[formId] = request;
+
+    try {
+        const [gasEstimate, feeData, ethPrice] = await Promise.all([
+            signer ? contract.estimateGas[method](...args).catch(() => null) : null,
+            contract.provider.getFeeData(),
+            readContract(contracts.stableCoinEngine, 'getLatestPrice')
+        ]);
+        // A newer input superseded this one while it was loading
+        if (request !== feeState.requests[formId]) return;
+
+        feeState.previews[formId] = {
+            gasLimit: gasEstimate ? addGasBuffer(gasEstimate) : ethers.BigNumber.from(TYPICAL_GAS_LIMITS[formId]),
+            estimated: Boolean(gasEstimate),
+            feeData,
+            ethPrice
+        };
+    } catch (error) {
+        console.error(`Failed to load the ${formId} fee preview:`, error);
+        delete feeState.previews[formId];
+    }
+
+    renderFeePreview(formId);
+}
+
+// USD cost of gasLimit at a per-gas price, using the 8-decimal ETH price
+function gasCostToUSD(gasLimit, gasPrice, ethPrice) {
+    return parseFloat(ethers.utils.formatUnits(gasLimit.mul(gasPrice).mul(ethPrice), 18 + 8));
+}
+
+function formatGwei(value) {
+    return `${trimDecimals(ethers.utils.formatUnits(value, 'gwei'), 2)} gwei`;
+}
+
+function renderFeePreview(formId) {
+    const container = document.querySelector(`[data-fee-form="${formId}"]`);
+    if (!container) return;
+
+    const field = name => container.querySelector(`[data-fee-field="${name}"]`);
+    const preview = feeState.previews[formId];
+
+    if (!preview) {
+        ['gas', 'maxFee', 'cost'].forEach(name => { field(name).textContent = '--'; });
+        return;
+    }
+
+    const { gasLimit, estimated, feeData, ethPrice } = preview;
+    const fees = getPresetFees(feeData);
+    const maxGasPrice = fees.maxFeePerGas || fees.gasPrice;
+
+    field('gas').textContent = `${gasLimit.toNumber().toLocaleString()}${estimated ? '' : ' (typical)'}`;
+    field('maxFee').textContent = formatGwei(maxGasPrice);
+    field('cost').textContent = `~${formatUSD(gasCostToUSD(gasLimit, getExpectedGasPrice(feeData, fees), ethPrice))} (max ${formatUSD(gasCostToUSD(gasLimit, maxGasPrice, ethPrice))})`;
+}
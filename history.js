@@ -0,0 +1,180 @@
+// Transaction history
+// Every submitted transaction is stored in localStorage per chain and account,
+// updated from its receipt, and reconciled on reload if it was still pending.
+// A wallet batch that was still executing when its tracking stopped is stored
+// by its `callsId` until the wallet reports the transaction hash.
+const HISTORY_LIMIT = 200;
+
+function setupTransactionHistory() {
+    document.getElementById('exportHistory').addEventListener('click', exportHistoryCSV);
+    document.getElementById('clearHistory').addEventListener('click', clearTransactionHistory);
+}
+
+function getHistoryKey(chainId = activeNetwork && activeNetwork.chainId, account = userAddress) {
+    if (!chainId || !account) return null;
+    return `txHistory:${chainId}:${account.toLowerCase()}`;
+}
+
+function loadTransactionHistory(key = getHistoryKey()) {
+    if (!key) return [];
+
+    try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+        console.warn('Discarding unreadable transaction history:', error);
+        return [];
+    }
+}
+
+function saveTransactionHistory(key, entries) {
+    localStorage.setItem(key, JSON.stringify(entries.slice(0, HISTORY_LIMIT)));
+    renderTransactionHistory();
+}
+
+function updateHistoryEntry(key, hash, changes) {
+    const entries = loadTransactionHistory(key);
+    const entry = entries.find(item => item.hash === hash);
+    if (!entry) return;
+
+    Object.assign(entry, changes);
+    saveTransactionHistory(key, entries);
+}
+
+function receiptToHistoryFields(receipt) {
+    return {
+        status: receipt.status === 1 ? 'confirmed' : 'failed',
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+    };
+}
+
+// Records tx as pending and waits for it; resolves with the receipt like tx.wait().
+// With a tracker flow the wait goes through the tracker, which follows replacements
+async function trackTransaction(tx, type, details, flow = null) {
+    // Captured now so a later account or chain switch does not misfile the result
+    const key = getHistoryKey();
+
+    if (key) {
+        const entries = loadTransactionHistory(key);
+        entries.unshift({
+            hash: tx.hash,
+            type,
+            details,
+            status: 'pending',
+            submittedAt: Date.now(),
+            blockNumber: null,
+            gasUsed: null
+        });
+        saveTransactionHistory(key, entries);
+    }
+
+    if (flow && txTracker.provider) {
+        Object.assign(flow, { details, historyKey: key });
+        return watchTxFlow(flow, tx);
+    }
+
+    try {
+        const receipt = await tx.wait();
+        invalidateReads();
+        if (key) updateHistoryEntry(key, tx.hash, receiptToHistoryFields(receipt));
+        return receipt;
+    } catch (error) {
+        invalidateReads();
+        if (key && error.receipt) {
+            updateHistoryEntry(key, tx.hash, receiptToHistoryFields(error.receipt));
+        }
+        throw error;
+    }
+}
+
+// Resolves entries left pending by a reload or a closed tab
+async function reconcilePendingTransactions() {
+    const key = getHistoryKey();
+    if (!key || !provider) return;
+
+    const pending = loadTransactionHistory(key).filter(entry => entry.status === 'pending');
+
+    await Promise.all(pending.map(async (entry) => {
+        try {
+            const hash = entry.hash || await resolveBatchHash(key, entry);
+            if (!hash) return;
+
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) {
+                updateHistoryEntry(key, hash, receiptToHistoryFields(receipt));
+            }
+        } catch (error) {
+            console.error(`Failed to reconcile transaction ${entry.hash || entry.callsId}:`, error);
+        }
+    }));
+
+    renderTransactionHistory();
+}
+
+function formatTxLink(hash) {
+    const shortHash = `${hash.slice(0, 10)}...${hash.slice(-6)}`;
+    const url = getExplorerLink('tx', hash);
+    return url ? `<a href="${url}" target="_blank" rel="noopener">${shortHash}</a>` : shortHash;
+}
+
+function renderTransactionHistory() {
+    const tbody = document.getElementById('historyResults');
+    const entries = loadTransactionHistory();
+
+    if (!userAddress) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-row">Connect your wallet to see your transactions</td></tr>';
+        return;
+    }
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-row">No transactions yet</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = entries.map(entry => `
+        <tr>
+            <td>${new Date(entry.submittedAt).toLocaleString()}</td>
+            <td>${entry.type}</td>
+            <td>${entry.details}</td>
+            <td><span class="tx-status ${entry.status}">${entry.status}</span></td>
+            <td>${entry.blockNumber || '--'}</td>
+            <td>${entry.gasUsed ? Number(entry.gasUsed).toLocaleString() : '--'}</td>
+            <td class="address-cell">${entry.hash ? formatTxLink(entry.hash) : 'Wallet batch'}</td>
+        </tr>
+    `).join('');
+}
+
+function exportHistoryCSV() {
+    const entries = loadTransactionHistory();
+    if (entries.length === 0) {
+        showNotification('No transactions to export', 'info');
+        return;
+    }
+
+    const escape = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+    const header = ['Date', 'Type', 'Details', 'Status', 'Block', 'Gas Used', 'Hash', 'Explorer'];
+    const rows = entries.map(entry => [
+        new Date(entry.submittedAt).toISOString(),
+        entry.type,
+        entry.details,
+        entry.status,
+        entry.blockNumber,
+        entry.gasUsed,
+        entry.hash || entry.callsId,
+        entry.hash ? getExplorerLink('tx', entry.hash) : null
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `transactions-${activeNetwork.chainId}-${userAddress}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function clearTransactionHistory() {
+    const key = getHistoryKey();
+    if (!key || !confirm('Clear the transaction history stored in this browser?')) return;
+
+    localStorage.removeItem(key);
+    renderTransactionHistory();
+}
@@ -0,0 +1,174 @@
+// DEX liquidity
+// The DEX pays swaps out of its own sETH and sBTC balances at the oracle rate, so
+// its liquidity is simply what it holds; anyone can add to it with a plain ERC20
+// transfer. There are no LP shares and no withdraw function, which the tab says
+// before anything is sent. Pool tokens are valued at $1 each, the way the engines
+// value the stablecoins they mint.
+const POOL_TOKENS = {
+    sETH: { contract: 'stableCoin' },
+    sBTC: { contract: 'stableCoinWBTC' }
+};
+
+// Beyond this share of USD value on one side the pool is shown as imbalanced
+const POOL_IMBALANCE_WARNING_PERCENT = 75;
+
+// Last pool read, for the Max button and the transfer check
+let poolState = null;
+
+function setupLiquidityPool() {
+    document.getElementById('liquidityToken').addEventListener('change', updateLiquidityForm);
+    document.getElementById('liquidityAmount').addEventListener('input', debounce(updateLiquidityForm));
+    document.getElementById('liquidityMax').addEventListener('click', setMaxLiquidity);
+    document.getElementById('addLiquidity').addEventListener('click', addLiquidity);
+}
+
+async function loadLiquidityPool() {
+    if (!contracts.dex) return;
+
+    try {
+        const [exchangeRate, dexSethBalance, dexSbtcBalance, sethBalance, sbtcBalance] = await Promise.all([
+            readContract(contracts.dex, 'getExchangeRate'),
+            readContract(contracts.stableCoin, 'balanceOf', [CONTRACT_ADDRESSES.DEX]),
+            readContract(contracts.stableCoinWBTC, 'balanceOf', [CONTRACT_ADDRESSES.DEX]),
+            userAddress ? readContract(contracts.stableCoin, 'balanceOf', [userAddress]) : null,
+            userAddress ? readContract(contracts.stableCoinWBTC, 'balanceOf', [userAddress]) : null
+        ]);
+
+        poolState = {
+            exchangeRate,
+            pool: { sETH: dexSethBalance, sBTC: dexSbtcBalance },
+            wallet: { sETH: sethBalance, sBTC: sbtcBalance }
+        };
+        renderLiquidityPool();
+        updateLiquidityForm();
+    } catch (error) {
+        console.error('Failed to load DEX liquidity:', error);
+    }
+}
+
+// Largest input each direction can pay out, mirroring the DEX swap math
+function getMaxSwapInputs(pool, exchangeRate) {
+    return {
+        sETH: pool.sBTC.mul(exchangeRate).div(ethers.constants.WeiPerEther),
+        sBTC: pool.sETH.mul(ethers.constants.WeiPerEther).div(exchangeRate)
+    };
+}
+
+function renderLiquidityPool() {
+    const { exchangeRate, pool, wallet } = poolState;
+    const values = {
+        sETH: tokenAmountToNumber(pool.sETH, 'sETH'),
+        sBTC: tokenAmountToNumber(pool.sBTC, 'sBTC')
+    };
+    const totalValue = values.sETH + values.sBTC;
+
+    Object.keys(POOL_TOKENS).forEach(symbol => {
+        document.getElementById(`pool${symbol}Balance`).textContent = formatTokenWithSymbol(pool[symbol], symbol);
+        document.getElementById(`pool${symbol}Value`).textContent = formatUSD(values[symbol]);
+    });
+    document.getElementById('poolTotalValue').textContent = formatUSD(totalValue);
+
+    // A pool holding equal USD on both sides can pay out the same value either way
+    const sethShare = totalValue > 0 ? values.sETH / totalValue * 100 : 50;
+    const imbalance = document.getElementById('poolImbalance');
+    imbalance.textContent = totalValue > 0
+        ? `${sethShare.toFixed(1)}% sETH / ${(100 - sethShare).toFixed(1)}% sBTC by value`
+        : 'Pool is empty';
+    imbalance.style.color = Math.max(sethShare, 100 - sethShare) > POOL_IMBALANCE_WARNING_PERCENT ? '#f59e0b' : '#10b981';
+    document.getElementById('poolShareBar').style.width = `${sethShare}%`;
+
+    document.getElementById('poolRatio').textContent = pool.sBTC.isZero()
+        ? '--'
+        : `${formatTokenAmount(pool.sETH.mul(ethers.utils.parseUnits('1', getTokenDecimals('sBTC'))).div(pool.sBTC), 'sETH')} sETH per sBTC (oracle ${formatExchangeRate(exchangeRate)})`;
+
+    const maxInputs = getMaxSwapInputs(pool, exchangeRate);
+    document.getElementById('poolMaxSethIn').textContent =
+        `${formatTokenWithSymbol(maxInputs.sETH, 'sETH')} → ${formatTokenWithSymbol(pool.sBTC, 'sBTC')}`;
+    document.getElementById('poolMaxSbtcIn').textContent =
+        `${formatTokenWithSymbol(maxInputs.sBTC, 'sBTC')} → ${formatTokenWithSymbol(pool.sETH, 'sETH')}`;
+
+    ['sETH', 'sBTC'].forEach(symbol => {
+        const element = document.getElementById(`liquidity${symbol}Wallet`);
+        element.textContent = wallet[symbol] ? formatTokenWithSymbol(wallet[symbol], symbol) : '--';
+    });
+}
+
+function getLiquidityInput() {
+    const symbol = document.getElementById('liquidityToken').value;
+    const value = document.getElementById('liquidityAmount').value;
+
+    try {
+        return { symbol, amount: value ? parseTokenAmount(value, symbol) : null };
+    } catch (error) {
+        return { symbol, amount: null };
+    }
+}
+
+// Shows how the transfer would change the pool and previews its fee
+function updateLiquidityForm() {
+    const { symbol, amount } = getLiquidityInput();
+    const preview = document.getElementById('liquidityPreview');
+
+    if (!poolState || !amount || amount.isZero()) {
+        preview.textContent = '';
+        updateFeePreview('liquidity', null);
+        return;
+    }
+
+    const pool = { ...poolState.pool, [symbol]: poolState.pool[symbol].add(amount) };
+    const maxInputs = getMaxSwapInputs(pool, poolState.exchangeRate);
+    const otherSymbol = symbol === 'sETH' ? 'sBTC' : 'sETH';
+    preview.textContent = `After the transfer the DEX can pay out up to ${formatTokenWithSymbol(pool[symbol], symbol)}, ` +
+        `so swaps of up to ${formatTokenWithSymbol(maxInputs[otherSymbol], otherSymbol)} into ${symbol} succeed.`;
+
+    updateFeePreview('liquidity', {
+        contract: contracts[POOL_TOKENS[symbol].contract],
+        method: 'transfer',
+        args: [CONTRACT_ADDRESSES.DEX, amount]
+    });
+}
+
+function setMaxLiquidity() {
+    const symbol = document.getElementById('liquidityToken').value;
+    if (!poolState || !poolState.wallet[symbol]) return;
+
+    document.getElementById('liquidityAmount').value = toTokenInput(poolState.wallet[symbol], symbol);
+    updateLiquidityForm();
+}
+
+async function addLiquidity() {
+    const { symbol, amount } = getLiquidityInput();
+
+    if (!amount || amount.isZero() || !userAddress) {
+        showNotification('Please enter an amount and connect your wallet', 'error');
+        return;
+    }
+
+    let flow = null;
+    try {
+        if (!document.getElementById('liquidityAcknowledge').checked) {
+            throw createActionError('Confirm that transferred tokens cannot be withdrawn from the DEX', { level: 'warning' });
+        }
+
+        const token = contracts[POOL_TOKENS[symbol].contract];
+        const balance = await token.balanceOf(userAddress);
+        if (balance.lt(amount)) {
+            throw createActionError(`Insufficient ${symbol} balance. You have ${formatTokenWithSymbol(balance, symbol)} but need ${formatTokenWithSymbol(amount, symbol)}`);
+        }
+
+        const summary = `${formatTokenWithSymbol(amount, symbol)} to the DEX pool`;
+        flow = startTxFlow('Add Liquidity', summary);
+
+        const result = await sendWrite(flow, token, 'transfer', [CONTRACT_ADDRESSES.DEX, amount]);
+        if (result.exported) return;
+
+        showNotification(`Added ${summary}`, 'success');
+
+        document.getElementById('liquidityAmount').value = '';
+        document.getElementById('liquidityAcknowledge').checked = false;
+        await Promise.all([loadLiquidityPool(), loadTradingData()]);
+
+    } catch (error) {
+        handleTransactionError('Add liquidity', error, flow);
+    }
+}
@@ -0,0 +1,289 @@
+// Position monitor
+// While a wallet is connected, the account's positions are re-read through
+// DEX.getUserDetails on every new block. A short health factor history per
+// position drives the trend shown in the Portfolio tab, and crossing one of the
+// user's thresholds (both above the 1.5 liquidation line) raises an in-page
+// banner and, if permitted, a browser notification.
+const MONITOR_FALLBACK_INTERVAL = 60000;
+const MONITOR_HISTORY_LENGTH = 30;
+const DEFAULT_ALERT_THRESHOLDS = { warning: 2.0, critical: 1.7 };
+
+// Ordered from healthy to liquidatable
+const ALERT_LEVELS = ['ok', 'warning', 'critical', 'liquidatable'];
+
+const monitorState = {
+    provider: null,
+    interval: null,
+    checking: false,
+    lastBlock: null,
+    history: { weth: [], wbtc: [] },
+    levels: {},
+    positions: null,
+    bannerDismissed: false
+};
+
+function setupPositionMonitor() {
+    const thresholds = getAlertThresholds();
+    document.getElementById('alertWarningThreshold').value = thresholds.warning;
+    document.getElementById('alertCriticalThreshold').value = thresholds.critical;
+
+    document.getElementById('saveAlertThresholds').addEventListener('click', saveAlertThresholds);
+    document.getElementById('toggleBrowserAlerts').addEventListener('click', toggleBrowserAlerts);
+    document.getElementById('dismissHealthAlert').addEventListener('click', () => {
+        monitorState.bannerDismissed = true;
+        renderHealthAlertBanner();
+    });
+    document.getElementById('viewHealthAlert').addEventListener('click', () => switchTab('portfolio'));
+
+    updateBrowserAlertsButton();
+}
+
+function getAlertThresholds() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('healthAlertThresholds'));
+        if (stored && isValidAlertThresholds(stored.warning, stored.critical)) return stored;
+    } catch (error) {
+        console.warn('Discarding unreadable alert thresholds:', error);
+    }
+    return { ...DEFAULT_ALERT_THRESHOLDS };
+}
+
+function isValidAlertThresholds(warning, critical) {
+    return critical > healthFactorToNumber(LIQUIDATION_THRESHOLD) && warning > critical;
+}
+
+function saveAlertThresholds() {
+    const warning = parseFloat(document.getElementById('alertWarningThreshold').value);
+    const critical = parseFloat(document.getElementById('alertCriticalThreshold').value);
+
+    if (!isValidAlertThresholds(warning, critical)) {
+        showNotification(`Thresholds must be above ${formatHealthFactor(LIQUIDATION_THRESHOLD)}, with the warning level above the critical one`, 'error');
+        return;
+    }
+
+    localStorage.setItem('healthAlertThresholds', JSON.stringify({ warning, critical }));
+    showNotification('Health factor alert thresholds saved', 'success');
+
+    // Re-evaluate from scratch so positions already past a new threshold alert once
+    monitorState.levels = {};
+    if (monitorState.positions) {
+        evaluateHealthAlerts(monitorState.positions);
+    }
+}
+
+function startPositionMonitor() {
+    stopPositionMonitor();
+    if (!userAddress || !contracts.dex) return;
+
+    monitorState.provider = contracts.dex.provider;
+    monitorState.provider.on('block', handleMonitorBlock);
+    // Block polling is throttled in background tabs; the interval keeps checks going
+    monitorState.interval = setInterval(() => checkPositions(), MONITOR_FALLBACK_INTERVAL);
+
+    checkPositions();
+}
+
+function stopPositionMonitor() {
+    if (monitorState.provider) {
+        monitorState.provider.off('block', handleMonitorBlock);
+    }
+    clearInterval(monitorState.interval);
+
+    Object.assign(monitorState, {
+        provider: null,
+        interval: null,
+        lastBlock: null,
+        history: { weth: [], wbtc: [] },
+        levels: {},
+        positions: null,
+        bannerDismissed: false
+    });
+
+    renderHealthTrends();
+    renderHealthAlertBanner();
+    setMonitorStatus('Connect your wallet to monitor your positions');
+}
+
+function handleMonitorBlock(blockNumber) {
+    if (blockNumber !== monitorState.lastBlock) {
+        checkPositions(blockNumber);
+    }
+}
+
+async function checkPositions(blockNumber) {
+    if (monitorState.checking || !userAddress || !contracts.dex) return;
+
+    const account = userAddress;
+    monitorState.checking = true;
+
+    try {
+        const [userDetails, block] = await Promise.all([
+            readContract(contracts.dex, 'getUserDetails', [account]),
+            blockNumber || contracts.dex.provider.getBlockNumber()
+        ]);
+        // The account may have changed while the read was in flight
+        if (account !== userAddress) return;
+
+        const positions = splitUserDetails(userDetails);
+        monitorState.lastBlock = block;
+        monitorState.positions = positions;
+
+        Object.entries(positions).forEach(([key, details]) => recordHealthSample(key, details, block));
+
+        renderPortfolioPositions(positions);
+        renderHealthTrends();
+        evaluateHealthAlerts(positions);
+        setMonitorStatus(`Monitoring your positions · last checked at block ${block}`);
+    } catch (error) {
+        console.error('Position monitor check failed:', error);
+    } finally {
+        monitorState.checking = false;
+    }
+}
+
+function recordHealthSample(key, details, blockNumber) {
+    const history = monitorState.history[key];
+
+    if (details.debt.isZero()) {
+        history.length = 0;
+        return;
+    }
+
+    history.push({ blockNumber, healthFactor: healthFactorToNumber(details.healthFactor) });
+    if (history.length > MONITOR_HISTORY_LENGTH) {
+        history.shift();
+    }
+}
+
+// Change across the recorded window, or null before there are two samples
+function getHealthTrend(key) {
+    const history = monitorState.history[key];
+    if (history.length < 2) return null;
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    return { change: last.healthFactor - first.healthFactor, blocks: last.blockNumber - first.blockNumber };
+}
+
+function renderHealthTrends() {
+    Object.keys(POSITIONS).forEach(key => {
+        const element = document.getElementById(`${key}HealthTrend`);
+        const trend = getHealthTrend(key);
+
+        if (!trend) {
+            element.textContent = '';
+            element.className = 'health-trend';
+        } else if (Math.abs(trend.change) < 0.0005) {
+            element.textContent = `→ steady over ${trend.blocks} blocks`;
+            element.className = 'health-trend';
+        } else {
+            const falling = trend.change < 0;
+            element.textContent = `${falling ? '↓' : '↑'} ${Math.abs(trend.change).toFixed(3)} over ${trend.blocks} blocks`;
+            element.className = `health-trend ${falling ? 'falling' : 'rising'}`;
+        }
+    });
+}
+
+function getAlertLevel(details, thresholds) {
+    if (details.debt.isZero()) return 'ok';
+    if (isLiquidatable(details)) return 'liquidatable';
+
+    const healthFactor = healthFactorToNumber(details.healthFactor);
+    if (healthFactor < thresholds.critical) return 'critical';
+    if (healthFactor < thresholds.warning) return 'warning';
+    return 'ok';
+}
+
+function getAlertMessage(key, details, level, thresholds) {
+    const position = POSITIONS[key];
+    const healthFactor = formatHealthFactor(details.healthFactor);
+
+    if (level === 'liquidatable') {
+        return `${position.label} health factor is ${healthFactor}, below ${formatHealthFactor(LIQUIDATION_THRESHOLD)}: it can be liquidated now`;
+    }
+    return `${position.label} health factor is ${healthFactor}, below your ${level} threshold of ${thresholds[level]}`;
+}
+
+// Alerts only when a position moves to a worse level than it was at
+function evaluateHealthAlerts(positions) {
+    const thresholds = getAlertThresholds();
+
+    Object.entries(positions).forEach(([key, details]) => {
+        const level = getAlertLevel(details, thresholds);
+        const previous = monitorState.levels[key] || 'ok';
+        monitorState.levels[key] = level;
+
+        if (ALERT_LEVELS.indexOf(level) > ALERT_LEVELS.indexOf(previous)) {
+            monitorState.bannerDismissed = false;
+            sendBrowserAlert(key, getAlertMessage(key, details, level, thresholds));
+        }
+    });
+
+    renderHealthAlertBanner();
+}
+
+function renderHealthAlertBanner() {
+    const banner = document.getElementById('healthAlertBanner');
+    const { positions, levels } = monitorState;
+    const alerting = positions
+        ? Object.keys(positions).filter(key => levels[key] && levels[key] !== 'ok')
+        : [];
+
+    if (alerting.length === 0 || monitorState.bannerDismissed) {
+        banner.style.display = 'none';
+        return;
+    }
+
+    const thresholds = getAlertThresholds();
+    const worst = alerting
+        .map(key => levels[key])
+        .reduce((a, b) => (ALERT_LEVELS.indexOf(b) > ALERT_LEVELS.indexOf(a) ? b : a));
+
+    document.getElementById('healthAlertMessage').innerHTML = alerting
+        .map(key => `⚠️ ${getAlertMessage(key, positions[key], levels[key], thresholds)}`)
+        .join('<br>');
+    banner.className = `health-alert-banner ${worst}`;
+    banner.style.display = 'flex';
+}
+
+function browserAlertsEnabled() {
+    return typeof Notification !== 'undefined' &&
+        Notification.permission === 'granted' &&
+        localStorage.getItem('browserHealthAlerts') === 'on';
+}
+
+async function toggleBrowserAlerts() {
+    if (typeof Notification === 'undefined') {
+        showNotification('This browser does not support notifications', 'error');
+        return;
+    }
+
+    if (browserAlertsEnabled()) {
+        localStorage.setItem('browserHealthAlerts', 'off');
+    } else {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showNotification('Notifications are blocked for this site in your browser settings', 'warning');
+        }
+        localStorage.setItem('browserHealthAlerts', permission === 'granted' ? 'on' : 'off');
+    }
+
+    updateBrowserAlertsButton();
+}
+
+function updateBrowserAlertsButton() {
+    document.getElementById('toggleBrowserAlerts').textContent = browserAlertsEnabled()
+        ? 'Disable Browser Alerts'
+        : 'Enable Browser Alerts';
+}
+
+function sendBrowserAlert(key, message) {
+    if (!browserAlertsEnabled()) return;
+
+    // One notification per position; a newer alert replaces the older one
+    new Notification('StableCoin DEX health alert', { body: message, tag: `health-${key}` });
+}
+
+function setMonitorStatus(message) {
+    document.getElementById('monitorStatus').textContent = message;
+}
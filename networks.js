@@ -0,0 +1,243 @@
+// Network registry keyed by chainId
+// Addresses listed here are used as a fallback. Networks with a `broadcast` path
+// also load the Foundry output of `script/DeployScript.s.sol`, so a fresh
+// `forge script ... --broadcast` run (e.g. against Anvil) is picked up without
+// editing this file. Token decimals are a fallback for ERC20 `decimals()`,
+// which tokens.js reads from each token; sBTC is listed in the WBTC engine's units
+// (see TOKENS in tokens.js).
+const NETWORKS = {
+    11155111: {
+        name: 'Sepolia Testnet',
+        rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+        explorerUrl: 'https://sepolia.etherscan.io',
+        nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+        broadcast: 'broadcast/DeployScript.s.sol/11155111/run-latest.json',
+        deploymentBlock: 9088647,
+        multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+        tokenDecimals: { sETH: 18, sBTC: 8, WETH: 18, WBTC: 8 },
+        // Amount per request from the mock WBTC's public mint
+        faucets: { WBTC: '0.1' },
+        addresses: {
+            DEX: "0x708EAd15b66236310f9a18e44AFf2C3B82A671Ee",
+            StableCoin: "0x6c6ad692489a89514bD4C8e9344a0Bc387c32438", // sETH
+            StableCoinWBTC: "0x513be19378C375466e29D6b4d001E995FBA8c2ce", // sBTC
+            StableCoinEngine: "0x7B82B239448B30372337fC22cFA02e9E7F10E812",
+            StablecoinWBTCEngine: "0x41233B5b9fAc54512ea322668AC20107F89A7562",
+            WETH: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14",
+            WBTC: "0x29f2D40B0605204364af54EC677bD022dA425d03"
+        },
+        priceFeeds: {
+            ETH: "0x694AA1769357215DE4FAC081bf1f309aDC325306",
+            BTC: "0x1b44F3514812d835EB1BDB0acB33d3fA3351Ee43"
+        }
+    },
+    31337: {
+        name: 'Anvil Local',
+        rpcUrl: 'http://127.0.0.1:8545',
+        explorerUrl: null,
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        broadcast: 'broadcast/DeployScript.s.sol/31337/run-latest.json',
+        deploymentBlock: 0,
+        // Multicall3 is not deployed on a fresh node; reads fall back to eth_call
+        multicall3: null,
+        tokenDecimals: { sETH: 18, sBTC: 8, WETH: 18, WBTC: 8 },
+        faucets: { WBTC: '0.1' },
+        addresses: null,
+        priceFeeds: null
+    }
+};
+
+const DEFAULT_CHAIN_ID = 11155111;
+
+const REQUIRED_CONTRACTS = ['DEX', 'StableCoin', 'StableCoinWBTC', 'StableCoinEngine', 'StablecoinWBTCEngine', 'WETH', 'WBTC'];
+
+// Foundry contract names -> CONTRACT_ADDRESSES keys
+const BROADCAST_CONTRACT_KEYS = {
+    DEX: 'DEX',
+    StableCoin: 'StableCoin',
+    StableCoinWBTC: 'StableCoinWBTC',
+    StableCoinEngine: 'StableCoinEngine',
+    stablecoinWBTCEngine: 'StablecoinWBTCEngine'
+};
+
+// Active deployment, replaced whenever the selected chain changes
+let CONTRACT_ADDRESSES = {};
+let activeNetwork = null;
+
+const resolvedNetworks = {};
+
+function toChainId(value) {
+    if (typeof value === 'string') {
+        return value.startsWith('0x') ? parseInt(value, 16) : parseInt(value, 10);
+    }
+    return Number(value);
+}
+
+function toHexChainId(chainId) {
+    return ethers.utils.hexValue(toChainId(chainId));
+}
+
+// `?chain=31337` in the URL selects the network used before a wallet connects
+function getPreferredChainId() {
+    const requested = new URLSearchParams(window.location.search).get('chain');
+    const chainId = requested ? toChainId(requested) : DEFAULT_CHAIN_ID;
+    return NETWORKS[chainId] ? chainId : DEFAULT_CHAIN_ID;
+}
+
+// `?rpc=http://127.0.0.1:8545` overrides the read-only RPC endpoint. A link can carry it,
+// and that node serves every price and health factor shown, so it is only used once
+// confirmed (asked once per page load) and the network badge names it while in use.
+let readRpcOverrideDecision = null;
+
+function getReadRpcUrl(network) {
+    const requested = new URLSearchParams(window.location.search).get('rpc');
+    if (!requested || requested === network.rpcUrl) return network.rpcUrl;
+
+    if (!readRpcOverrideDecision || readRpcOverrideDecision.url !== requested) {
+        const accepted = confirm(`This link reads prices and positions from ${requested} instead of ${network.rpcUrl}. Only continue if you trust that node. Use it?`);
+        readRpcOverrideDecision = { url: requested, accepted };
+    }
+    return readRpcOverrideDecision.accepted ? requested : network.rpcUrl;
+}
+
+// Called once the read-only provider is created with `rpcUrl`
+function showReadRpcOnBadge(network, rpcUrl) {
+    const badge = document.getElementById('networkBadge');
+    if (!badge || rpcUrl === network.rpcUrl) return;
+
+    let host = rpcUrl;
+    try {
+        host = new URL(rpcUrl).host;
+    } catch (error) {
+        // Not a URL ethers can use either; show it as given
+    }
+    badge.textContent = `${network.name} · custom RPC ${host}`;
+    badge.title = `Reads go through ${rpcUrl} from the page link`;
+    badge.classList.add('custom-rpc');
+}
+
+function getSupportedNetworkNames() {
+    return Object.values(NETWORKS).map(network => network.name).join(', ');
+}
+
+function parseBroadcastDeployment(run) {
+    const addresses = {};
+    const priceFeeds = {};
+
+    (run.transactions || [])
+        .filter(tx => tx.transactionType === 'CREATE' && BROADCAST_CONTRACT_KEYS[tx.contractName])
+        .forEach(tx => {
+            const key = BROADCAST_CONTRACT_KEYS[tx.contractName];
+            addresses[key] = ethers.utils.getAddress(tx.contractAddress);
+
+            // Engine constructors are (stablecoin, collateral, priceFeed)
+            const args = tx.arguments || [];
+            if (key === 'StableCoinEngine' && args.length === 3) {
+                addresses.WETH = ethers.utils.getAddress(args[1]);
+                priceFeeds.ETH = ethers.utils.getAddress(args[2]);
+            } else if (key === 'StablecoinWBTCEngine' && args.length === 3) {
+                addresses.WBTC = ethers.utils.getAddress(args[1]);
+                priceFeeds.BTC = ethers.utils.getAddress(args[2]);
+            }
+        });
+
+    // Earliest receipt block; event indexing starts here
+    const blocks = (run.receipts || []).map(receipt => parseInt(receipt.blockNumber, 16)).filter(Number.isFinite);
+    const deploymentBlock = blocks.length > 0 ? Math.min(...blocks) : undefined;
+
+    return { addresses, priceFeeds, deploymentBlock };
+}
+
+async function loadBroadcastDeployment(network) {
+    if (!network.broadcast) return null;
+
+    try {
+        const response = await fetch(network.broadcast, { cache: 'no-store' });
+        if (!response.ok) return null;
+
+        return parseBroadcastDeployment(await response.json());
+    } catch (error) {
+        // Expected when the page is opened from file:// or the run was never broadcast
+        console.warn(`No broadcast deployment loaded from ${network.broadcast}:`, error.message);
+        return null;
+    }
+}
+
+// Merges the static registry entry with its broadcast output; null if incomplete
+async function resolveNetwork(chainId) {
+    chainId = toChainId(chainId);
+    if (resolvedNetworks[chainId] !== undefined) return resolvedNetworks[chainId];
+
+    const config = NETWORKS[chainId];
+    if (!config) return null;
+
+    const deployment = await loadBroadcastDeployment(config);
+    const addresses = { ...(config.addresses || {}), ...(deployment ? deployment.addresses : {}) };
+    const priceFeeds = { ...(config.priceFeeds || {}), ...(deployment ? deployment.priceFeeds : {}) };
+
+    const missing = REQUIRED_CONTRACTS.filter(key => !addresses[key]);
+    if (missing.length > 0) {
+        console.warn(`Deployment for chain ${chainId} is missing: ${missing.join(', ')}`);
+        resolvedNetworks[chainId] = null;
+        return null;
+    }
+
+    const deploymentBlock = deployment && deployment.deploymentBlock !== undefined
+        ? deployment.deploymentBlock
+        : config.deploymentBlock;
+
+    resolvedNetworks[chainId] = { ...config, chainId, addresses, priceFeeds, deploymentBlock };
+    return resolvedNetworks[chainId];
+}
+
+// Selects the deployment for chainId; returns null and clears addresses if unsupported
+async function activateNetwork(chainId) {
+    const network = await resolveNetwork(chainId);
+
+    activeNetwork = network;
+    CONTRACT_ADDRESSES = network ? network.addresses : {};
+    updateNetworkBadge(network, chainId);
+
+    return network;
+}
+
+function updateNetworkBadge(network, chainId) {
+    const badge = document.getElementById('networkBadge');
+    if (!badge) return;
+
+    badge.textContent = network ? network.name : `Unsupported network (${toChainId(chainId)})`;
+    badge.title = '';
+    badge.classList.toggle('unsupported', !network);
+    badge.classList.remove('custom-rpc');
+}
+
+async function switchWalletNetwork(chainId) {
+    const config = NETWORKS[chainId];
+    const hexChainId = toHexChainId(chainId);
+
+    try {
+        await walletProvider.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: hexChainId }],
+        });
+    } catch (switchError) {
+        // 4902: the wallet does not know this chain yet
+        if (switchError.code !== 4902 || !config) throw switchError;
+
+        await walletProvider.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId: hexChainId,
+                chainName: config.name,
+                rpcUrls: [config.rpcUrl],
+                nativeCurrency: config.nativeCurrency,
+                blockExplorerUrls: config.explorerUrl ? [config.explorerUrl] : undefined
+            }],
+        });
+    }
+}
+
+function getExplorerLink(type, value) {
+    if (!activeNetwork || !activeNetwork.explorerUrl) return null;
+    return `${activeNetwork.explorerUrl}/${type}/${value}`;
+}
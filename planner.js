@@ -0,0 +1,226 @@
+// Mint planner
+// Solves the other side of a mint form at a target collateral ratio: the most
+// that can be minted for the collateral entered, or the collateral a mint needs.
+// The ratio applies to the position after the mint (existing deposit and debt
+// plus the new amounts), in the same raw units the engines compare, and the
+// planner shows the oracle price at which that position falls below 1.5.
+const DEFAULT_TARGET_RATIO_PERCENT = 200;
+
+// Keyed like POSITIONS; collateral balances are read from contracts[positionKey]
+const MINT_PLANNER_FORMS = {
+    weth: { collateralInput: 'wethCollateral', mintInput: 'sethToMint', prefix: 'seth', asset: 'ETH' },
+    wbtc: { collateralInput: 'wbtcCollateral', mintInput: 'sbtcToMint', prefix: 'sbtc', asset: 'BTC' }
+};
+
+// Ratios are handled in basis points; 150% is the engines' 1.5 health factor
+const RATIO_PRECISION = 10000;
+const LIQUIDATION_RATIO_BPS = 15000;
+
+function setupMintPlanner() {
+    Object.entries(MINT_PLANNER_FORMS).forEach(([positionKey, form]) => {
+        const ratioInput = document.getElementById(`${form.prefix}TargetRatio`);
+        ratioInput.value = DEFAULT_TARGET_RATIO_PERCENT;
+        updatePlannerRatioButtons(positionKey);
+
+        const updatePlan = debounce(() => updateMintPlan(positionKey));
+        document.getElementById(form.collateralInput).addEventListener('input', updatePlan);
+        document.getElementById(form.mintInput).addEventListener('input', updatePlan);
+        ratioInput.addEventListener('input', () => {
+            updatePlannerRatioButtons(positionKey);
+            updatePlan();
+        });
+
+        document.getElementById(`${form.prefix}Planner`).addEventListener('click', (e) => {
+            const button = e.target.closest('[data-plan]');
+            if (!button) return;
+
+            if (button.dataset.ratio) {
+                ratioInput.value = button.dataset.ratio;
+                updatePlannerRatioButtons(positionKey);
+            }
+            planMint(positionKey, button.dataset.plan);
+        });
+    });
+}
+
+function getTargetRatioBps(positionKey) {
+    const input = document.getElementById(`${MINT_PLANNER_FORMS[positionKey].prefix}TargetRatio`);
+    const percent = parseFloat(input.value);
+    return Number.isFinite(percent) ? Math.round(percent * RATIO_PRECISION / 100) : null;
+}
+
+// Price, the connected account's current position and its collateral balance
+async function loadMintPlanContext(positionKey) {
+    const position = POSITIONS[positionKey];
+    const engine = contracts[position.engine];
+
+    const [price, deposit, details, balance] = await Promise.all([
+        readContract(engine, 'getLatestPrice'),
+        userAddress ? readContract(engine, 'collateralDeposits', [userAddress]) : ethers.BigNumber.from(0),
+        userAddress ? readContract(engine, 'getUserDetails', [userAddress]) : null,
+        userAddress ? readContract(contracts[positionKey], 'balanceOf', [userAddress]) : null
+    ]);
+
+    return { price, deposit, debt: details ? details[1] : ethers.BigNumber.from(0), balance };
+}
+
+// Engine collateral value: USD in the collateral token's decimals
+function getCollateralValue(deposit, price) {
+    return deposit.mul(price).div(PRICE_PRECISION);
+}
+
+// Largest mint that keeps the resulting position at or above the ratio. The
+// engine also requires the new deposit alone to be worth at least the mint.
+function solveMintForCollateral(context, collateral, ratioBps) {
+    const totalValue = getCollateralValue(context.deposit.add(collateral), context.price);
+    const mintable = totalValue.mul(RATIO_PRECISION).div(ratioBps).sub(context.debt);
+    const depositValue = getCollateralValue(collateral, context.price);
+
+    if (mintable.lte(0)) return ethers.BigNumber.from(0);
+    return mintable.lt(depositValue) ? mintable : depositValue;
+}
+
+// Smallest deposit that keeps the resulting position at or above the ratio and
+// passes the engine's own check on the new deposit
+function solveCollateralForMint(context, mint, ratioBps) {
+    const requiredValue = ceilDiv(context.debt.add(mint).mul(ratioBps), ethers.BigNumber.from(RATIO_PRECISION));
+    const forRatio = ceilDiv(requiredValue.mul(PRICE_PRECISION), context.price).sub(context.deposit);
+    const forMint = ceilDiv(mint.mul(PRICE_PRECISION), context.price);
+    return forRatio.gt(forMint) ? forRatio : forMint;
+}
+
+function ceilDiv(a, b) {
+    return a.add(b).sub(1).div(b);
+}
+
+// 8-decimal price below which the position's health factor drops under 1.5, or null without debt
+function getLiquidationPrice(deposit, debt) {
+    if (debt.isZero() || deposit.isZero()) return null;
+    return debt.mul(LIQUIDATION_THRESHOLD).mul(PRICE_PRECISION).div(deposit.mul(ethers.constants.WeiPerEther));
+}
+
+function readPlannerInput(id, symbol) {
+    const value = document.getElementById(id).value;
+    try {
+        return value ? parseTokenAmount(value, symbol) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// mode: 'mint' solves the mint for the collateral entered, 'collateral' the
+// collateral for the mint entered, 'max' uses the whole wallet balance
+async function planMint(positionKey, mode) {
+    const position = POSITIONS[positionKey];
+    const form = MINT_PLANNER_FORMS[positionKey];
+    const ratioBps = getTargetRatioBps(positionKey);
+
+    if (!ratioBps || ratioBps <= LIQUIDATION_RATIO_BPS) {
+        showNotification('Choose a target ratio above the 150% liquidation threshold', 'warning');
+        return;
+    }
+
+    try {
+        const context = await loadMintPlanContext(positionKey);
+
+        if (mode === 'collateral') {
+            const mint = readPlannerInput(form.mintInput, position.debtSymbol);
+            if (!mint) {
+                showNotification(`Enter the ${position.debtSymbol} you want to mint first`, 'info');
+                return;
+            }
+            document.getElementById(form.collateralInput).value =
+                toTokenInput(solveCollateralForMint(context, mint, ratioBps), position.collateralSymbol);
+        } else {
+            let collateral = readPlannerInput(form.collateralInput, position.collateralSymbol);
+            if (mode === 'max') {
+                if (!context.balance) {
+                    showNotification('Connect your wallet to plan with your balance', 'info');
+                    return;
+                }
+                collateral = context.balance;
+                document.getElementById(form.collateralInput).value = toTokenInput(collateral, position.collateralSymbol);
+            }
+            if (!collateral) {
+                showNotification(`Enter the ${position.collateralSymbol} you want to deposit first`, 'info');
+                return;
+            }
+            document.getElementById(form.mintInput).value =
+                toTokenInput(solveMintForCollateral(context, collateral, ratioBps), position.debtSymbol);
+        }
+
+        renderMintPlan(positionKey, context);
+        refreshCollateralRatio(positionKey);
+    } catch (error) {
+        console.error('Failed to plan mint:', error);
+        showNotification(`Failed to plan mint: ${error.message}`, 'error');
+    }
+}
+
+// Highlights the "Max at" button matching the target ratio
+function updatePlannerRatioButtons(positionKey) {
+    const form = MINT_PLANNER_FORMS[positionKey];
+    const ratioBps = getTargetRatioBps(positionKey);
+
+    document.querySelectorAll(`#${form.prefix}Planner [data-ratio]`).forEach(button => {
+        button.classList.toggle('active', Math.round(parseFloat(button.dataset.ratio) * RATIO_PRECISION / 100) === ratioBps);
+    });
+}
+
+function refreshCollateralRatio(positionKey) {
+    if (positionKey === 'weth') {
+        calculateSETHCollateralRatio();
+    } else {
+        calculateSBTCCollateralRatio();
+    }
+}
+
+async function updateMintPlan(positionKey) {
+    if (!contracts[POSITIONS[positionKey].engine]) return;
+
+    try {
+        renderMintPlan(positionKey, await loadMintPlanContext(positionKey));
+    } catch (error) {
+        console.error('Failed to update mint plan:', error);
+    }
+}
+
+// Resulting ratio, liquidation price and balance check for the amounts in the form
+function renderMintPlan(positionKey, context) {
+    const position = POSITIONS[positionKey];
+    const form = MINT_PLANNER_FORMS[positionKey];
+    const ratioBps = getTargetRatioBps(positionKey);
+    const ratioElement = document.getElementById(`${form.prefix}PlanRatio`);
+    const priceElement = document.getElementById(`${form.prefix}PlanLiquidationPrice`);
+    const note = document.getElementById(`${form.prefix}PlanNote`);
+
+    const collateral = readPlannerInput(form.collateralInput, position.collateralSymbol) || ethers.BigNumber.from(0);
+    const mint = readPlannerInput(form.mintInput, position.debtSymbol) || ethers.BigNumber.from(0);
+    const deposit = context.deposit.add(collateral);
+    const debt = context.debt.add(mint);
+
+    if (debt.isZero()) {
+        ratioElement.textContent = '--';
+        priceElement.textContent = '--';
+        note.textContent = '';
+        return;
+    }
+
+    const ratio = getCollateralValue(deposit, context.price).mul(RATIO_PRECISION).div(debt);
+    ratioElement.textContent = `${parseFloat(ethers.utils.formatUnits(ratio, 2)).toFixed(1)}%`;
+    ratioElement.style.color = ratio.lt(LIQUIDATION_RATIO_BPS) ? '#ef4444' : (ratioBps && ratio.lt(ratioBps) ? '#f59e0b' : '#10b981');
+
+    const liquidationPrice = getLiquidationPrice(deposit, debt);
+    if (liquidationPrice) {
+        const drop = 1 - parseFloat(ethers.utils.formatUnits(liquidationPrice, 8)) / parseFloat(ethers.utils.formatUnits(context.price, 8));
+        priceElement.textContent = drop > 0
+            ? `${formatPrice(liquidationPrice)} (${form.asset} -${(drop * 100).toFixed(1)}%)`
+            : `${formatPrice(liquidationPrice)} (below 1.5 now)`;
+    } else {
+        priceElement.textContent = '--';
+    }
+
+    note.textContent = context.balance && collateral.gt(context.balance)
+        ? `Needs ${formatTokenWithSymbol(collateral, position.collateralSymbol)}; your wallet holds ${formatTokenWithSymbol(context.balance, position.collateralSymbol)}`
+        : '';
+}
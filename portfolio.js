@@ -0,0 +1,164 @@
+// Portfolio overview
+// Combines wallet balances, both collateral positions and both debts into USD
+// totals. WETH and WBTC are priced with the engines' getLatestPrice; sETH and
+// sBTC, in the wallet or as debt, are worth $1 each, as the engines value debt.
+// The portfolio value is wallet + collateral - debt.
+const ALLOCATION_COLORS = {
+    WETH: '#667eea',
+    WBTC: '#f59e0b',
+    sETH: '#10b981',
+    sBTC: '#ef4444'
+};
+
+async function loadPortfolioOverview() {
+    const [userDetails, wethDeposit, wbtcDeposit, ethPrice, btcPrice, ...balances] = await Promise.all([
+        readContract(contracts.dex, 'getUserDetails', [userAddress]),
+        readContract(contracts.stableCoinEngine, 'collateralDeposits', [userAddress]),
+        readContract(contracts.stablecoinWBTCEngine, 'collateralDeposits', [userAddress]),
+        readContract(contracts.stableCoinEngine, 'getLatestPrice'),
+        readContract(contracts.stablecoinWBTCEngine, 'getLatestPrice'),
+        ...Object.values(TOKENS).map(token => readContract(contracts[token.contract], 'balanceOf', [userAddress]))
+    ]);
+
+    const positions = splitUserDetails(userDetails);
+    positions.weth.deposit = wethDeposit;
+    positions.wbtc.deposit = wbtcDeposit;
+
+    const wallet = {};
+    Object.keys(TOKENS).forEach((symbol, i) => { wallet[symbol] = balances[i]; });
+
+    const summary = summarizePortfolio(positions, wallet, { WETH: ethPrice, WBTC: btcPrice });
+    renderPortfolioPositions(positions);
+    renderPortfolioSummary(summary);
+    return summary;
+}
+
+// Rows of { symbol, location, amount, value } plus USD totals
+function summarizePortfolio(positions, wallet, prices) {
+    const rows = [];
+
+    Object.entries(wallet).forEach(([symbol, amount]) => {
+        if (amount.isZero()) return;
+
+        const value = prices[symbol]
+            ? parseFloat(ethers.utils.formatUnits(amount.mul(prices[symbol]), getTokenDecimals(symbol) + 8))
+            : tokenAmountToNumber(amount, symbol);
+        rows.push({ symbol, location: 'Wallet', amount, value });
+    });
+
+    Object.entries(POSITIONS).forEach(([key, position]) => {
+        const details = positions[key];
+
+        if (!details.deposit.isZero()) {
+            rows.push({
+                symbol: position.collateralSymbol,
+                location: 'Collateral',
+                amount: details.deposit,
+                value: collateralValueToNumber(details.collateralValue, position.collateralSymbol)
+            });
+        }
+        if (!details.debt.isZero()) {
+            rows.push({
+                symbol: position.debtSymbol,
+                location: 'Debt',
+                amount: details.debt,
+                value: -tokenAmountToNumber(details.debt, position.debtSymbol)
+            });
+        }
+    });
+
+    const sum = location => rows
+        .filter(row => row.location === location)
+        .reduce((total, row) => total + row.value, 0);
+
+    const walletValue = sum('Wallet');
+    const totalCollateral = sum('Collateral');
+    const totalDebt = -sum('Debt');
+
+    return {
+        rows,
+        walletValue,
+        totalCollateral,
+        totalDebt,
+        totalValue: walletValue + totalCollateral - totalDebt,
+        // Collateral value over debt across both engines, the way each engine computes its own
+        healthFactor: totalDebt > 0 ? totalCollateral / totalDebt : Infinity
+    };
+}
+
+function renderPortfolioSummary(summary) {
+    document.getElementById('totalPortfolioValue').textContent = formatUSD(summary.totalValue);
+    document.getElementById('totalCollateral').textContent = formatUSD(summary.totalCollateral);
+    document.getElementById('totalDebt').textContent = formatUSD(summary.totalDebt);
+
+    const healthElement = document.getElementById('overallHealthFactor');
+    if (summary.healthFactor === Infinity) {
+        healthElement.textContent = summary.totalCollateral > 0 ? '∞' : '--';
+        healthElement.style.color = '';
+    } else {
+        healthElement.textContent = summary.healthFactor.toFixed(2);
+        healthElement.style.color = summary.healthFactor < healthFactorToNumber(LIQUIDATION_THRESHOLD) ? '#ef4444' : '#10b981';
+    }
+
+    renderPortfolioBreakdown(summary);
+    renderAllocationChart(summary);
+}
+
+function renderPortfolioBreakdown(summary) {
+    const tbody = document.getElementById('portfolioBreakdown');
+    if (summary.rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="empty-row">No balances or positions</td></tr>';
+        return;
+    }
+
+    const grossValue = summary.walletValue + summary.totalCollateral;
+    tbody.innerHTML = summary.rows.map(row => `
+        <tr>
+            <td>${row.symbol}</td>
+            <td>${row.location}</td>
+            <td>${formatTokenAmount(row.amount, row.symbol)}</td>
+            <td class="${row.value < 0 ? 'negative-value' : ''}">${formatUSD(row.value)}</td>
+            <td>${row.value > 0 && grossValue > 0 ? `${((row.value / grossValue) * 100).toFixed(1)}%` : '--'}</td>
+        </tr>
+    `).join('');
+}
+
+// Stacked bar of what the account holds, by asset, wallet and collateral combined
+function renderAllocationChart(summary) {
+    const totals = {};
+    summary.rows
+        .filter(row => row.value > 0)
+        .forEach(row => { totals[row.symbol] = (totals[row.symbol] || 0) + row.value; });
+
+    const grossValue = Object.values(totals).reduce((total, value) => total + value, 0);
+    const chart = document.getElementById('allocationChart');
+    const legend = document.getElementById('allocationLegend');
+
+    if (grossValue <= 0) {
+        chart.innerHTML = '';
+        legend.innerHTML = '';
+        return;
+    }
+
+    const entries = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+    chart.innerHTML = entries.map(([symbol, value]) => `
+        <div class="allocation-segment" style="width: ${(value / grossValue) * 100}%; background: ${ALLOCATION_COLORS[symbol]};" title="${symbol}: ${formatUSD(value)}"></div>
+    `).join('');
+    legend.innerHTML = entries.map(([symbol, value]) => `
+        <span class="allocation-legend-item">
+            <span class="allocation-swatch" style="background: ${ALLOCATION_COLORS[symbol]};"></span>
+            ${symbol} ${((value / grossValue) * 100).toFixed(1)}%
+        </span>
+    `).join('');
+}
+
+function resetPortfolioOverview() {
+    ['totalPortfolioValue', 'totalCollateral', 'totalDebt'].forEach(id => {
+        document.getElementById(id).textContent = '$0.00';
+    });
+    document.getElementById('overallHealthFactor').textContent = '--';
+    document.getElementById('portfolioBreakdown').innerHTML =
+        '<tr><td colspan="5" class="empty-row">Connect your wallet to see your portfolio</td></tr>';
+    document.getElementById('allocationChart').innerHTML = '';
+    document.getElementById('allocationLegend').innerHTML = '';
+}
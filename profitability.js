@@ -0,0 +1,206 @@
+// Liquidation profitability calculator
+// Replays the engines' `liquidate` checks locally so the Liquidation tab can show
+// the valid `_debtToCover` range, the collateral seized and the liquidator's P&L
+// before anything is sent. Repaid debt is valued at $1 per stablecoin, as the
+// engines value it. Gas is priced with the selected fee preset.
+let calculatorState = null;
+
+function setupLiquidationCalculator() {
+    document.getElementById('debtToCover').addEventListener('input', updateLiquidationCalculator);
+    document.getElementById('useOptimalDebt').addEventListener('click', useOptimalDebtToCover);
+}
+
+// Returns { collateralToSeize, newHealthFactor } or { error } with the engine's revert reason
+function simulateLiquidation(positionKey, target, price, debtToCover) {
+    const position = POSITIONS[positionKey];
+
+    if (position.enforcesHealthFactor && !isLiquidatable(target)) {
+        return { error: 'Health factor is ok' };
+    }
+    if (debtToCover.lte(0)) {
+        return { error: 'Debt to cover must be greater than zero' };
+    }
+    if (target.debt.lt(debtToCover)) {
+        return { error: 'User debt is less than the amount to cover' };
+    }
+
+    const collateralToSeize = debtToCover.mul(PRICE_PRECISION).div(price);
+    if (target.deposit.lt(collateralToSeize)) {
+        return { error: 'Not enough collateral to seize' };
+    }
+
+    const remainingDeposit = target.deposit.sub(collateralToSeize);
+    const remainingDebt = target.debt.sub(debtToCover);
+    const newHealthFactor = remainingDebt.isZero()
+        ? ethers.constants.MaxUint256
+        : remainingDeposit.mul(price).div(PRICE_PRECISION).mul(ethers.constants.WeiPerEther).div(remainingDebt);
+
+    if (position.enforcesHealthFactor && newHealthFactor.lt(LIQUIDATION_THRESHOLD)) {
+        return { error: 'Health factor still not ok after liquidation' };
+    }
+
+    return { collateralToSeize, newHealthFactor };
+}
+
+// Smallest value in [low, high] satisfying a monotonic predicate, or null
+function findMinimum(low, high, predicate) {
+    if (low.gt(high) || !predicate(high)) return null;
+
+    while (low.lt(high)) {
+        const mid = low.add(high).div(2);
+        if (predicate(mid)) {
+            high = mid;
+        } else {
+            low = mid.add(1);
+        }
+    }
+    return low;
+}
+
+// Valid `_debtToCover` bounds for the target, or null if no amount succeeds
+function solveDebtToCoverRange(positionKey, target, price) {
+    if (target.debt.isZero()) return null;
+
+    const one = ethers.BigNumber.from(1);
+    const seizesTooMuch = debt => debt.mul(PRICE_PRECISION).div(price).gt(target.deposit);
+    const firstTooLarge = findMinimum(one, target.debt, seizesTooMuch);
+    const max = firstTooLarge ? firstTooLarge.sub(1) : target.debt;
+    if (max.lt(one)) return null;
+
+    // Post-liquidation health rises with the amount covered while collateral value exceeds debt
+    const min = findMinimum(one, max, debt => !simulateLiquidation(positionKey, target, price, debt).error);
+    if (!min) return null;
+
+    return { min, max };
+}
+
+async function refreshLiquidationCalculator() {
+    const positionKey = document.getElementById('liquidationType').value;
+    const position = POSITIONS[positionKey];
+    const target = targetPositions && targetPositions[positionKey];
+
+    if (!target) {
+        calculatorState = null;
+        updateLiquidationCalculator();
+        return;
+    }
+
+    try {
+        const engine = contracts[position.engine];
+        const [price, ethPrice, feeData, liquidatorBalance] = await Promise.all([
+            readContract(engine, 'getLatestPrice'),
+            readContract(contracts.stableCoinEngine, 'getLatestPrice'),
+            contracts.dex.provider.getFeeData(),
+            userAddress ? readContract(contracts[position.debtToken], 'balanceOf', [userAddress]) : Promise.resolve(null)
+        ]);
+
+        const range = solveDebtToCoverRange(positionKey, target, price);
+        const gasUnits = await estimateLiquidationGas(position, targetPositions.address, range);
+
+        calculatorState = { positionKey, target, price, range, gasUnits, feeData, ethPrice, liquidatorBalance };
+
+        if (!document.getElementById('debtToCover').value) {
+            useOptimalDebtToCover();
+            return;
+        }
+    } catch (error) {
+        console.error('Failed to refresh liquidation calculator:', error);
+        calculatorState = null;
+    }
+
+    updateLiquidationCalculator();
+}
+
+async function estimateLiquidationGas(position, targetAddress, range) {
+    if (!signer || !range) return ethers.BigNumber.from(TYPICAL_GAS_LIMITS.liquidation);
+
+    try {
+        return addGasBuffer(await contracts.dex.estimateGas[position.liquidateMethod](targetAddress, range.max));
+    } catch (error) {
+        // Reverts until the debt token is approved; fall back to a typical liquidation cost
+        return ethers.BigNumber.from(TYPICAL_GAS_LIMITS.liquidation);
+    }
+}
+
+// The largest amount the liquidator can fund: it seizes the most collateral per
+// gas paid and leaves the most room for the post-liquidation health check
+function getOptimalDebtToCover() {
+    const { range, liquidatorBalance } = calculatorState;
+    if (!range) return null;
+    if (!liquidatorBalance) return range.max;
+    if (liquidatorBalance.lt(range.min)) return null;
+
+    return liquidatorBalance.lt(range.max) ? liquidatorBalance : range.max;
+}
+
+function useOptimalDebtToCover() {
+    if (!calculatorState) return;
+
+    const position = POSITIONS[calculatorState.positionKey];
+    const optimal = getOptimalDebtToCover();
+    if (!optimal) {
+        updateLiquidationCalculator();
+        if (calculatorState.range) {
+            showNotification(`Your ${position.debtSymbol} balance is below the minimum amount this liquidation needs`, 'warning');
+        }
+        return;
+    }
+
+    document.getElementById('debtToCover').value = toTokenInput(optimal, position.debtSymbol);
+    updateLiquidationCalculator();
+}
+
+function updateLiquidationCalculator() {
+    const fields = ['liqValidRange', 'liqCollateralSeized', 'liqDebtRepaid', 'liqGasCost', 'liqNetProfit', 'liqHealthAfter'];
+    const error = document.getElementById('liqCalculatorError');
+    const positionKey = document.getElementById('liquidationType').value;
+
+    if (!calculatorState || calculatorState.positionKey !== positionKey) {
+        fields.forEach(id => { document.getElementById(id).textContent = '--'; });
+        error.textContent = '';
+        updateFeePreview('liquidation', null);
+        return;
+    }
+
+    const { target, price, range, gasUnits, feeData, ethPrice } = calculatorState;
+    const position = POSITIONS[positionKey];
+    const gasCostUSD = gasCostToUSD(gasUnits, getExpectedGasPrice(feeData, getPresetFees(feeData)), ethPrice);
+
+    document.getElementById('liqValidRange').textContent = range
+        ? `${formatTokenWithSymbol(range.min, position.debtSymbol)} – ${formatTokenWithSymbol(range.max, position.debtSymbol)}`
+        : 'No amount can succeed';
+    document.getElementById('liqGasCost').textContent = formatUSD(gasCostUSD);
+
+    let debtToCover;
+    try {
+        debtToCover = parseTokenAmount(document.getElementById('debtToCover').value || '0', position.debtSymbol);
+    } catch (parseError) {
+        debtToCover = ethers.BigNumber.from(0);
+    }
+
+    const result = simulateLiquidation(positionKey, target, price, debtToCover);
+    if (result.error) {
+        ['liqCollateralSeized', 'liqDebtRepaid', 'liqNetProfit', 'liqHealthAfter'].forEach(id => {
+            document.getElementById(id).textContent = '--';
+        });
+        error.textContent = debtToCover.isZero() ? '' : `Engine would revert: "${result.error}"`;
+        updateFeePreview('liquidation', null);
+        return;
+    }
+
+    updateFeePreview('liquidation', { contract: contracts.dex, method: position.liquidateMethod, args: [targetPositions.address, debtToCover] });
+
+    const seizedValueUSD = tokenAmountToNumber(result.collateralToSeize.mul(price).div(PRICE_PRECISION), position.collateralSymbol);
+    const repaidUSD = tokenAmountToNumber(debtToCover, position.debtSymbol);
+    const netProfit = seizedValueUSD - repaidUSD - gasCostUSD;
+
+    document.getElementById('liqCollateralSeized').textContent =
+        `${formatTokenWithSymbol(result.collateralToSeize, position.collateralSymbol)} (${formatUSD(seizedValueUSD)})`;
+    document.getElementById('liqDebtRepaid').textContent = formatUSD(repaidUSD);
+    document.getElementById('liqHealthAfter').textContent = formatHealthFactor(result.newHealthFactor);
+
+    const profitElement = document.getElementById('liqNetProfit');
+    profitElement.textContent = `${netProfit < 0 ? '-' : '+'}$${Math.abs(netProfit).toFixed(2)}`;
+    profitElement.style.color = netProfit < 0 ? '#ef4444' : '#10b981';
+    error.textContent = '';
+}
@@ -0,0 +1,159 @@
+// Batched contract reads
+// View calls made through readContract in the same tick are sent as a single
+// Multicall3 aggregate3 call, and their decoded results are cached until the
+// provider reports a new block, so the periodic refreshes, the monitor and the
+// tabs share one request per block. Networks without Multicall3 (a fresh Anvil
+// node) fall back to one eth_call per read. Input-driven quotes are debounced.
+const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+// Keeps a single aggregate3 well under node gas and response limits
+const MULTICALL_BATCH_LIMIT = 200;
+const QUOTE_DEBOUNCE_MS = 250;
+
+const readState = {
+    provider: null,
+    blockNumber: null,
+    // `${address}:${calldata}` -> promise of the decoded result
+    results: new Map(),
+    queue: [],
+    flushScheduled: false
+};
+
+// Called whenever the contracts are rebound to another provider
+function startReadCache(provider) {
+    stopReadCache();
+    readState.provider = provider;
+    provider.on('block', handleReadCacheBlock);
+}
+
+function stopReadCache() {
+    if (readState.provider) {
+        readState.provider.off('block', handleReadCacheBlock);
+    }
+    readState.provider = null;
+    invalidateReads();
+}
+
+function handleReadCacheBlock(blockNumber) {
+    if (blockNumber !== readState.blockNumber) {
+        invalidateReads();
+        readState.blockNumber = blockNumber;
+    }
+}
+
+// Drops cached results, e.g. once a transaction is mined and before the provider
+// has polled the new block
+function invalidateReads() {
+    readState.blockNumber = null;
+    readState.results.clear();
+}
+
+// Resolves like `contract[method](...args)` would
+function readContract(contract, method, args = []) {
+    const callData = contract.interface.encodeFunctionData(method, args);
+    const key = `${contract.address.toLowerCase()}:${callData}`;
+
+    if (readState.results.has(key)) {
+        return readState.results.get(key);
+    }
+
+    const result = new Promise((resolve, reject) => {
+        readState.queue.push({ contract, method, callData, resolve, reject });
+    });
+
+    // Results are only reused within a known block
+    if (readState.blockNumber !== null) {
+        readState.results.set(key, result);
+        result.catch(() => readState.results.delete(key));
+    }
+
+    if (!readState.flushScheduled) {
+        readState.flushScheduled = true;
+        setTimeout(flushReads, 0);
+    }
+    return result;
+}
+
+function flushReads() {
+    const queue = readState.queue;
+    readState.queue = [];
+    readState.flushScheduled = false;
+
+    for (let i = 0; i < queue.length; i += MULTICALL_BATCH_LIMIT) {
+        const batch = queue.slice(i, i + MULTICALL_BATCH_LIMIT);
+        const multicall = getMulticall(batch[0].contract.provider);
+
+        if (multicall && batch.length > 1) {
+            executeMulticall(multicall, batch);
+        } else {
+            batch.forEach(executeRead);
+        }
+    }
+}
+
+function getMulticall(contractProvider) {
+    if (!activeNetwork || !activeNetwork.multicall3) return null;
+    return new ethers.Contract(activeNetwork.multicall3, MULTICALL3_ABI, contractProvider);
+}
+
+async function executeMulticall(multicall, batch) {
+    let responses;
+    try {
+        responses = await multicall.callStatic.aggregate3(batch.map(call => ({
+            target: call.contract.address,
+            allowFailure: true,
+            callData: call.callData
+        })));
+    } catch (error) {
+        console.warn('Multicall failed, reading individually:', error);
+        batch.forEach(executeRead);
+        return;
+    }
+
+    responses.forEach(({ success, returnData }, i) => {
+        const call = batch[i];
+        if (success) {
+            settleRead(call, returnData);
+        } else {
+            call.reject(createReadError(call, returnData));
+        }
+    });
+}
+
+async function executeRead(call) {
+    try {
+        const returnData = await call.contract.provider.call({ to: call.contract.address, data: call.callData });
+        settleRead(call, returnData);
+    } catch (error) {
+        call.reject(error);
+    }
+}
+
+function settleRead(call, returnData) {
+    try {
+        const decoded = call.contract.interface.decodeFunctionResult(call.method, returnData);
+        call.resolve(decoded.length === 1 ? decoded[0] : decoded);
+    } catch (error) {
+        call.reject(error);
+    }
+}
+
+// Same code as ethers uses for a reverted eth_call
+function createReadError(call, returnData) {
+    const error = new Error(`${call.method} reverted`);
+    error.code = 'CALL_EXCEPTION';
+    error.method = call.method;
+    error.data = returnData;
+    return error;
+}
+
+// Runs `fn` once input has been quiet for `wait` ms
+function debounce(fn, wait = QUOTE_DEBOUNCE_MS) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+}
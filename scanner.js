@@ -0,0 +1,194 @@
+// Liquidation scanner
+// Borrowers are discovered from the mint Transfer events (from = address(0)) of
+// sETH and sBTC, indexed incrementally and cached per chain in localStorage.
+// Their positions are then re-read in batches through DEX.getUserDetails.
+const SCAN_BLOCK_RANGE = 10000;
+const SCAN_BATCH_SIZE = 20;
+
+const scannerState = {
+    rows: [],
+    sortKey: 'healthFactor',
+    sortAscending: true,
+    scanning: false
+};
+
+function setupLiquidationScanner() {
+    document.getElementById('scanLiquidations').addEventListener('click', scanLiquidationOpportunities);
+
+    document.querySelectorAll('#scannerTable th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => sortScannerBy(header.dataset.sort));
+    });
+
+    document.getElementById('scannerResults').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-prefill]');
+        if (button) {
+            prefillLiquidation(button.dataset.address, button.dataset.prefill);
+        }
+    });
+}
+
+function resetLiquidationScanner() {
+    scannerState.rows = [];
+    document.getElementById('scannerResults').innerHTML = 
+        '<tr><td colspan="6" class="empty-row">Run a scan to find liquidatable positions</td></tr>';
+    setScannerStatus('');
+}
+
+function getBorrowerIndexKey() {
+    return `borrowerIndex:${activeNetwork.chainId}:${CONTRACT_ADDRESSES.DEX}`;
+}
+
+function loadBorrowerIndex() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getBorrowerIndexKey()));
+        if (stored) {
+            return { lastBlock: stored.lastBlock, borrowers: new Set(stored.borrowers) };
+        }
+    } catch (error) {
+        console.warn('Discarding unreadable borrower index:', error);
+    }
+    return { lastBlock: (activeNetwork.deploymentBlock || 0) - 1, borrowers: new Set() };
+}
+
+function saveBorrowerIndex(index) {
+    localStorage.setItem(getBorrowerIndexKey(), JSON.stringify({
+        lastBlock: index.lastBlock,
+        borrowers: [...index.borrowers]
+    }));
+}
+
+async function scanLiquidationOpportunities() {
+    if (scannerState.scanning || !contracts.dex || !activeNetwork) return;
+
+    const button = document.getElementById('scanLiquidations');
+    scannerState.scanning = true;
+    button.disabled = true;
+
+    try {
+        const borrowers = await indexBorrowers();
+        await refreshScannedPositions(borrowers);
+
+        setScannerStatus(`Checked ${borrowers.length} borrowers: ${scannerState.rows.length} position(s) below the 1.5 health factor`);
+    } catch (error) {
+        console.error('Liquidation scan failed:', error);
+        showNotification(`Liquidation scan failed: ${error.message}`, 'error');
+        setScannerStatus('Scan interrupted. Progress is saved; scan again to resume.');
+    } finally {
+        scannerState.scanning = false;
+        button.disabled = false;
+    }
+}
+
+// Walks mint events from the last indexed block to the chain head
+async function indexBorrowers() {
+    const index = loadBorrowerIndex();
+    const latestBlock = await contracts.dex.provider.getBlockNumber();
+    const tokens = [contracts.stableCoin, contracts.stableCoinWBTC];
+
+    for (let fromBlock = index.lastBlock + 1; fromBlock <= latestBlock; fromBlock += SCAN_BLOCK_RANGE) {
+        const toBlock = Math.min(fromBlock + SCAN_BLOCK_RANGE - 1, latestBlock);
+        setScannerStatus(`Indexing mint events: block ${fromBlock} to ${toBlock} of ${latestBlock}...`);
+
+        const logs = await Promise.all(tokens.map(token =>
+            token.queryFilter(token.filters.Transfer(ethers.constants.AddressZero), fromBlock, toBlock)
+        ));
+        logs.flat().forEach(log => index.borrowers.add(log.args.to));
+
+        index.lastBlock = toBlock;
+        saveBorrowerIndex(index);
+    }
+
+    return [...index.borrowers];
+}
+
+async function refreshScannedPositions(borrowers) {
+    const rows = [];
+
+    for (let i = 0; i < borrowers.length; i += SCAN_BATCH_SIZE) {
+        const batch = borrowers.slice(i, i + SCAN_BATCH_SIZE);
+        setScannerStatus(`Reading positions ${i + 1}-${i + batch.length} of ${borrowers.length}...`);
+
+        const results = await Promise.all(batch.map(address => readContract(contracts.dex, 'getUserDetails', [address])));
+
+        results.forEach((userDetails, j) => {
+            const positions = splitUserDetails(userDetails);
+            Object.entries(positions).forEach(([positionKey, details]) => {
+                if (canBeLiquidated(positionKey, details)) {
+                    rows.push(toScannerRow(batch[j], positionKey, details));
+                }
+            });
+        });
+    }
+
+    scannerState.rows = rows;
+    renderScannerResults();
+}
+
+function toScannerRow(address, positionKey, details) {
+    const position = POSITIONS[positionKey];
+    return {
+        address,
+        positionKey,
+        collateralValue: collateralValueToNumber(details.collateralValue, position.collateralSymbol),
+        debt: tokenAmountToNumber(details.debt, position.debtSymbol),
+        healthFactor: healthFactorToNumber(details.healthFactor)
+    };
+}
+
+function sortScannerBy(sortKey) {
+    if (scannerState.sortKey === sortKey) {
+        scannerState.sortAscending = !scannerState.sortAscending;
+    } else {
+        scannerState.sortKey = sortKey;
+        scannerState.sortAscending = sortKey === 'healthFactor';
+    }
+    renderScannerResults();
+}
+
+function renderScannerResults() {
+    const { sortKey, sortAscending } = scannerState;
+    const direction = sortAscending ? 1 : -1;
+    const rows = [...scannerState.rows].sort((a, b) => {
+        const left = a[sortKey];
+        const right = b[sortKey];
+        return (typeof left === 'string' ? left.localeCompare(right) : left - right) * direction;
+    });
+
+    document.querySelectorAll('#scannerTable th[data-sort]').forEach(header => {
+        header.classList.toggle('sorted', header.dataset.sort === sortKey);
+        header.classList.toggle('descending', header.dataset.sort === sortKey && !sortAscending);
+    });
+
+    const tbody = document.getElementById('scannerResults');
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-row">No liquidatable positions found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => {
+        const position = POSITIONS[row.positionKey];
+        return `
+            <tr>
+                <td class="address-cell" title="${row.address}">${row.address.slice(0, 6)}...${row.address.slice(-4)}</td>
+                <td>${position.collateralSymbol} / ${position.debtSymbol}</td>
+                <td>$${row.collateralValue.toFixed(2)}</td>
+                <td>${row.debt.toFixed(4)} ${position.debtSymbol}</td>
+                <td class="health-cell">${row.healthFactor.toFixed(3)}</td>
+                <td><button class="btn btn-warning btn-small" data-prefill="${row.positionKey}" data-address="${row.address}">Prefill</button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function prefillLiquidation(address, positionKey) {
+    document.getElementById('liquidationTarget').value = address;
+    document.getElementById('liquidationType').value = positionKey;
+    updateLiquidationType();
+    checkLiquidationTarget();
+
+    document.querySelector('.liquidation-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function setScannerStatus(message) {
+    document.getElementById('scannerStatus').textContent = message;
+}
@@ -0,0 +1,147 @@
+// Price-shock stress test
+// Loads both positions of an address (the connected wallet by default) once and
+// re-prices them locally as the ETH and BTC changes are edited. Shocked positions
+// go through the same checks as the liquidation calculator: isLiquidatable for
+// the status where the engine enforces a health factor (the WBTC engine's
+// `liquidate` does not) and solveDebtToCoverRange for the most collateral a
+// liquidator could seize under the engine's `liquidate` math at the shocked price.
+const STRESS_ASSETS = {
+    weth: { asset: 'ETH', input: 'stressEthChange' },
+    wbtc: { asset: 'BTC', input: 'stressBtcChange' }
+};
+
+// A price can fall at most 99%; the engines reject a zero price
+const MIN_PRICE_CHANGE_PERCENT = -99;
+
+// { address, positions, prices } from the last load
+let stressState = null;
+
+function setupStressTest() {
+    document.getElementById('runStressTest').addEventListener('click', loadStressTest);
+    Object.values(STRESS_ASSETS).forEach(({ input }) => {
+        document.getElementById(input).addEventListener('input', renderStressTest);
+    });
+    document.querySelectorAll('[data-stress-shock]').forEach(button => {
+        button.addEventListener('click', () => {
+            Object.values(STRESS_ASSETS).forEach(({ input }) => {
+                document.getElementById(input).value = button.dataset.stressShock;
+            });
+            renderStressTest();
+        });
+    });
+}
+
+function resetStressTest() {
+    stressState = null;
+    renderStressTest();
+}
+
+async function loadStressTest() {
+    const input = document.getElementById('stressAddress').value.trim();
+    const address = input || userAddress;
+
+    if (!address || !ethers.utils.isAddress(address)) {
+        showNotification(input ? 'Please enter a valid address' : 'Enter an address or connect your wallet', 'error');
+        return;
+    }
+    if (!contracts.dex) return;
+
+    try {
+        const [userDetails, wethDeposit, wbtcDeposit, ethPrice, btcPrice] = await Promise.all([
+            readContract(contracts.dex, 'getUserDetails', [address]),
+            readContract(contracts.stableCoinEngine, 'collateralDeposits', [address]),
+            readContract(contracts.stablecoinWBTCEngine, 'collateralDeposits', [address]),
+            readContract(contracts.stableCoinEngine, 'getLatestPrice'),
+            readContract(contracts.stablecoinWBTCEngine, 'getLatestPrice')
+        ]);
+
+        const positions = splitUserDetails(userDetails);
+        positions.weth.deposit = wethDeposit;
+        positions.wbtc.deposit = wbtcDeposit;
+
+        stressState = { address, positions, prices: { weth: ethPrice, wbtc: btcPrice } };
+        renderStressTest();
+    } catch (error) {
+        console.error('Failed to load positions for the stress test:', error);
+        showNotification(`Failed to load positions: ${error.message}`, 'error');
+    }
+}
+
+function getPriceChangeBps(positionKey) {
+    const percent = parseFloat(document.getElementById(STRESS_ASSETS[positionKey].input).value);
+    if (!Number.isFinite(percent)) return 0;
+    return Math.round(Math.max(percent, MIN_PRICE_CHANGE_PERCENT) * 100);
+}
+
+// The position re-valued at `price`, shaped like the liquidation target
+function shockPosition(details, price) {
+    const collateralValue = getCollateralValue(details.deposit, price);
+    const healthFactor = details.debt.isZero()
+        ? ethers.constants.MaxUint256
+        : collateralValue.mul(ethers.constants.WeiPerEther).div(details.debt);
+
+    return { deposit: details.deposit, debt: details.debt, collateralValue, healthFactor };
+}
+
+// Shocked health and the largest liquidation the engine would accept
+function stressPosition(positionKey, details, price, changeBps) {
+    const shockedPrice = price.mul(10000 + changeBps).div(10000);
+    const shocked = shockPosition(details, shockedPrice);
+    const liquidatable = canBeLiquidated(positionKey, shocked);
+    const range = liquidatable ? solveDebtToCoverRange(positionKey, shocked, shockedPrice) : null;
+
+    return {
+        shockedPrice,
+        shocked,
+        liquidatable,
+        range,
+        collateralToSeize: range ? range.max.mul(PRICE_PRECISION).div(shockedPrice) : null,
+        liquidationPrice: getLiquidationPrice(details.deposit, details.debt)
+    };
+}
+
+function renderStressTest() {
+    const tbody = document.getElementById('stressResults');
+    const status = document.getElementById('stressStatus');
+
+    if (!stressState) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-row">Load positions to run the stress test</td></tr>';
+        status.textContent = '';
+        return;
+    }
+
+    const { address, positions, prices } = stressState;
+    const rows = Object.entries(POSITIONS).map(([positionKey, position]) => {
+        const details = positions[positionKey];
+        const { asset } = STRESS_ASSETS[positionKey];
+
+        if (details.debt.isZero()) {
+            return `
+                <tr>
+                    <td>${position.label}</td>
+                    <td colspan="6" class="empty-row">No ${position.debtSymbol} debt</td>
+                </tr>
+            `;
+        }
+
+        const result = stressPosition(positionKey, details, prices[positionKey], getPriceChangeBps(positionKey));
+        const seized = result.collateralToSeize
+            ? `${formatTokenWithSymbol(result.collateralToSeize, position.collateralSymbol)} (${formatCollateralUSD(result.collateralToSeize, result.shockedPrice, position.collateralSymbol)}) for ${formatTokenWithSymbol(result.range.max, position.debtSymbol)}`
+            : (result.liquidatable ? 'No amount can succeed' : '--');
+
+        return `
+            <tr class="${result.liquidatable ? 'stress-liquidatable' : ''}">
+                <td>${position.label}</td>
+                <td>${formatPrice(prices[positionKey])} → ${formatPrice(result.shockedPrice)}</td>
+                <td>${formatHealthFactor(details.healthFactor)} → <strong>${formatHealthFactor(result.shocked.healthFactor)}</strong></td>
+                <td>${formatCollateralValue(result.shocked.collateralValue, position.collateralSymbol)}</td>
+                <td>${result.liquidationPrice ? `${asset} below ${formatPrice(result.liquidationPrice)}` : '--'}</td>
+                <td><span class="position-status ${result.liquidatable ? 'liquidatable' : 'healthy'}">${result.liquidatable ? 'Liquidatable' : 'Safe'}</span></td>
+                <td>${seized}</td>
+            </tr>
+        `;
+    });
+
+    tbody.innerHTML = rows.join('');
+    status.textContent = `Positions of ${address.slice(0, 6)}...${address.slice(-4)}`;
+}
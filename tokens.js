@@ -0,0 +1,61 @@
+// Token metadata
+// decimals() and symbol() are read once per token and chain through ERC20_ABI and
+// cached; every amount the app parses or displays goes through these decimals.
+// The registry's tokenDecimals are only used until the reads finish or if they fail.
+// A token with `unitsOf` is accounted in another token's decimals instead of its own:
+// the WBTC engine mints sBTC one-for-one against collateral value in USD with WBTC's
+// 8 decimals, so 1e8 sBTC is $1 whatever the sBTC token's decimals() reports.
+const TOKENS = {
+    sETH: { address: 'StableCoin', contract: 'stableCoin' },
+    sBTC: { address: 'StableCoinWBTC', contract: 'stableCoinWBTC', unitsOf: 'WBTC' },
+    WETH: { address: 'WETH', contract: 'weth' },
+    WBTC: { address: 'WBTC', contract: 'wbtc' }
+};
+
+// `${chainId}:${address}` -> { decimals, tokenSymbol }
+const tokenMetadataCache = {};
+
+function getTokenMetadataKey(symbol) {
+    const token = TOKENS[symbol];
+    if (!token || !activeNetwork || !CONTRACT_ADDRESSES[token.address]) return null;
+    return `${activeNetwork.chainId}:${CONTRACT_ADDRESSES[token.address].toLowerCase()}`;
+}
+
+async function loadTokenMetadata() {
+    await Promise.all(Object.entries(TOKENS).map(async ([symbol, token]) => {
+        const key = getTokenMetadataKey(symbol);
+        const contract = contracts[token.contract];
+        if (!key || !contract || tokenMetadataCache[key]) return;
+
+        try {
+            const [decimals, tokenSymbol] = await Promise.all([contract.decimals(), contract.symbol()]);
+            tokenMetadataCache[key] = { decimals, tokenSymbol };
+        } catch (error) {
+            console.warn(`Failed to read ${symbol} metadata, using registry decimals:`, error.message);
+        }
+    }));
+}
+
+function getTokenMetadata(symbol) {
+    const key = getTokenMetadataKey(symbol);
+    return (key && tokenMetadataCache[key]) || null;
+}
+
+function getTokenDecimals(symbol) {
+    if (TOKENS[symbol] && TOKENS[symbol].unitsOf) return getTokenDecimals(TOKENS[symbol].unitsOf);
+
+    const metadata = getTokenMetadata(symbol);
+    if (metadata) return metadata.decimals;
+
+    const fallback = activeNetwork && activeNetwork.tokenDecimals[symbol];
+    return fallback !== undefined ? fallback : 18;
+}
+
+// App symbol for a token contract address, e.g. for approvals of any token contract
+function getTokenSymbolByAddress(address) {
+    const symbol = Object.keys(TOKENS).find(key =>
+        CONTRACT_ADDRESSES[TOKENS[key].address] &&
+        CONTRACT_ADDRESSES[TOKENS[key].address].toLowerCase() === address.toLowerCase()
+    );
+    return symbol || null;
+}
@@ -0,0 +1,391 @@
+// Transaction tracker
+// Each write runs as a flow shown in a panel at the bottom of the page:
+// wrap (when a mint wraps its missing WETH) -> approve (when an allowance is
+// needed) -> sign -> pending -> confirmed or failed.
+// Flows are stored per chain and account, and pending ones are watched on every
+// block by receipt instead of tx.wait(), so a reload picks them up again and a
+// speed-up or cancel (a replacement with the same nonce) is followed as well.
+const TX_CONFIRMATIONS = 3;
+// Nodes require at least +10% on both fee fields to accept a replacement
+const TX_REPLACEMENT_BUMP_PERCENT = 20;
+const TX_CANCEL_GAS_LIMIT = 21000;
+const TX_FLOW_LIMIT = 10;
+// Confirmed flows leave the panel this long after reaching TX_CONFIRMATIONS
+const TX_FLOW_LINGER_MS = 15000;
+
+const TX_FLOW_STEPS = ['wrap', 'approve', 'sign', 'pending', 'confirmed'];
+// Flows sent to a Safe file end as 'exported' without a transaction
+const TX_FLOW_FINAL_STAGES = ['confirmed', 'failed', 'cancelled', 'replaced', 'exported'];
+
+const txTracker = {
+    key: null,
+    flows: [],
+    provider: null,
+    checking: false,
+    // flow id -> { resolve, reject } of the write path awaiting it
+    waiters: new Map()
+};
+
+function setupTransactionTracker() {
+    document.getElementById('txTracker').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-flow-action]');
+        if (!button) return;
+
+        const flow = txTracker.flows.find(item => item.id === button.dataset.flowId);
+        if (!flow) return;
+
+        if (button.dataset.flowAction === 'dismiss') {
+            removeTxFlow(flow);
+        } else {
+            replaceTxFlow(flow, button.dataset.flowAction);
+        }
+    });
+}
+
+function getTxFlowKey() {
+    const historyKey = getHistoryKey();
+    return historyKey ? historyKey.replace('txHistory:', 'txFlows:') : null;
+}
+
+function loadTxFlows(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+        console.warn('Discarding unreadable transaction flows:', error);
+        return [];
+    }
+}
+
+function saveTxFlows() {
+    if (txTracker.key) {
+        localStorage.setItem(txTracker.key, JSON.stringify(txTracker.flows.slice(0, TX_FLOW_LIMIT)));
+    }
+    renderTxTracker();
+}
+
+// Loads the flows of the connected account and resumes watching the pending ones
+function restoreTxFlows() {
+    stopTxTracker();
+
+    txTracker.key = getTxFlowKey();
+    txTracker.flows = txTracker.key ? loadTxFlows(txTracker.key) : [];
+
+    // A flow that had not reached the wallet cannot continue after a reload
+    txTracker.flows
+        .filter(flow => ['wrap', 'approve', 'sign'].includes(flow.stage))
+        .forEach(flow => Object.assign(flow, { stage: 'failed', failedAt: flow.stage, error: 'The page was closed before the transaction was sent' }));
+
+    saveTxFlows();
+
+    if (txTracker.key && provider) {
+        txTracker.provider = provider;
+        txTracker.provider.on('block', checkTxFlows);
+        checkTxFlows();
+    }
+}
+
+function stopTxTracker() {
+    if (txTracker.provider) {
+        txTracker.provider.off('block', checkTxFlows);
+    }
+    txTracker.provider = null;
+
+    txTracker.waiters.forEach(({ reject }) => {
+        reject(createActionError('Stopped tracking the transaction after the account or network changed; see the History tab', { level: 'warning' }));
+    });
+    txTracker.waiters.clear();
+
+    txTracker.key = null;
+    txTracker.flows = [];
+    renderTxTracker();
+}
+
+function startTxFlow(type, details) {
+    const flow = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        details,
+        stage: 'sign',
+        batched: false,
+        needsWrap: false,
+        wrapHash: null,
+        needsApproval: false,
+        approvalHash: null,
+        hash: null,
+        hashes: [],
+        cancelHash: null,
+        tx: null,
+        from: userAddress,
+        historyKey: getHistoryKey(),
+        blockNumber: null,
+        confirmations: 0,
+        confirmedAt: null,
+        failedAt: null,
+        error: null,
+        startedAt: Date.now()
+    };
+
+    txTracker.flows.unshift(flow);
+    saveTxFlows();
+    return flow;
+}
+
+function setTxFlowStage(flow, stage, changes = {}) {
+    Object.assign(flow, changes, { stage });
+    if (stage === 'wrap') flow.needsWrap = true;
+    if (stage === 'approve') flow.needsApproval = true;
+    saveTxFlows();
+}
+
+function failTxFlow(flow, message) {
+    if (TX_FLOW_FINAL_STAGES.includes(flow.stage)) return;
+    setTxFlowStage(flow, 'failed', { failedAt: flow.stage, error: message });
+}
+
+// Fields needed to rebuild the transaction for a replacement, as JSON-safe strings
+function serializeTx(tx) {
+    const toHex = value => (value === null || value === undefined ? null : ethers.BigNumber.from(value).toHexString());
+    return {
+        nonce: tx.nonce,
+        to: tx.to,
+        data: tx.data,
+        value: toHex(tx.value),
+        gasLimit: toHex(tx.gasLimit),
+        gasPrice: tx.maxFeePerGas ? null : toHex(tx.gasPrice),
+        maxFeePerGas: toHex(tx.maxFeePerGas),
+        maxPriorityFeePerGas: toHex(tx.maxPriorityFeePerGas)
+    };
+}
+
+// Moves the flow to pending and resolves with the receipt once mined
+function watchTxFlow(flow, tx) {
+    setTxFlowStage(flow, 'pending', {
+        hash: tx.hash,
+        hashes: [tx.hash],
+        tx: serializeTx(tx)
+    });
+
+    const mined = new Promise((resolve, reject) => {
+        txTracker.waiters.set(flow.id, { resolve, reject });
+    });
+    checkTxFlows();
+    return mined;
+}
+
+async function checkTxFlows(blockNumber) {
+    if (txTracker.checking || !txTracker.provider) return;
+
+    const watched = txTracker.flows.filter(flow => flow.stage === 'pending' ||
+        (flow.stage === 'confirmed' && flow.confirmations < TX_CONFIRMATIONS));
+    if (watched.length === 0) {
+        pruneConfirmedFlows();
+        return;
+    }
+
+    const trackerProvider = txTracker.provider;
+    txTracker.checking = true;
+
+    try {
+        const currentBlock = blockNumber || await trackerProvider.getBlockNumber();
+        await Promise.all(watched.map(flow => checkTxFlow(trackerProvider, flow, currentBlock)));
+        if (trackerProvider === txTracker.provider) {
+            saveTxFlows();
+            pruneConfirmedFlows();
+        }
+    } catch (error) {
+        console.error('Failed to check pending transactions:', error);
+    } finally {
+        txTracker.checking = false;
+    }
+}
+
+async function findTxFlowReceipt(trackerProvider, flow) {
+    const receipts = await Promise.all(flow.hashes.map(hash => trackerProvider.getTransactionReceipt(hash)));
+    return receipts.find(Boolean) || null;
+}
+
+async function checkTxFlow(trackerProvider, flow, currentBlock) {
+    let receipt = await findTxFlowReceipt(trackerProvider, flow);
+
+    if (!receipt) {
+        const nonce = await trackerProvider.getTransactionCount(flow.from, 'latest');
+        if (nonce <= flow.tx.nonce) return;
+
+        // Either mined between the two reads or the nonce went to a transaction this page did not send
+        receipt = await findTxFlowReceipt(trackerProvider, flow);
+        if (!receipt) {
+            finishTxFlow(flow, 'replaced', null, 'Replaced by another transaction from your wallet');
+            return;
+        }
+    }
+
+    flow.confirmations = Math.max(1, currentBlock - receipt.blockNumber + 1);
+    if (flow.stage === 'confirmed') return;
+
+    flow.hash = receipt.transactionHash;
+    flow.blockNumber = receipt.blockNumber;
+
+    if (receipt.status !== 1) {
+        finishTxFlow(flow, 'failed', receipt, 'The transaction reverted on-chain');
+    } else if (receipt.transactionHash === flow.cancelHash) {
+        finishTxFlow(flow, 'cancelled', receipt, 'Cancelled by a replacement transaction');
+    } else {
+        finishTxFlow(flow, 'confirmed', receipt);
+    }
+}
+
+function finishTxFlow(flow, stage, receipt, error = null) {
+    Object.assign(flow, {
+        stage,
+        error,
+        failedAt: stage === 'confirmed' ? null : 'pending',
+        confirmedAt: stage === 'confirmed' ? Date.now() : null
+    });
+    invalidateReads();
+
+    if (flow.historyKey) {
+        updateHistoryEntry(flow.historyKey, flow.hashes[0], receipt
+            ? { ...receiptToHistoryFields(receipt), hash: receipt.transactionHash, status: stage }
+            : { status: stage });
+    }
+
+    const waiter = txTracker.waiters.get(flow.id);
+    txTracker.waiters.delete(flow.id);
+
+    if (waiter) {
+        if (stage === 'confirmed') {
+            waiter.resolve(receipt);
+        } else {
+            waiter.reject(createActionError(error, { level: stage === 'failed' ? 'error' : 'warning' }));
+        }
+    } else {
+        // Resumed after a reload: nothing else refreshes the page for it
+        const level = stage === 'confirmed' ? 'success' : 'warning';
+        showNotification(`${flow.type} ${stage}: ${flow.details}`, level);
+        loadUserData();
+    }
+}
+
+function pruneConfirmedFlows() {
+    const now = Date.now();
+    const kept = txTracker.flows.filter(flow => !(flow.stage === 'confirmed' &&
+        flow.confirmations >= TX_CONFIRMATIONS &&
+        now - flow.confirmedAt > TX_FLOW_LINGER_MS));
+
+    if (kept.length !== txTracker.flows.length) {
+        txTracker.flows = kept;
+        saveTxFlows();
+    }
+}
+
+function removeTxFlow(flow) {
+    txTracker.flows = txTracker.flows.filter(item => item !== flow);
+    saveTxFlows();
+}
+
+function bumpFee(value, current) {
+    const bumped = ethers.BigNumber.from(value).mul(100 + TX_REPLACEMENT_BUMP_PERCENT).div(100);
+    return current && current.gt(bumped) ? current : bumped;
+}
+
+function getReplacementFees(tx, feeData) {
+    if (tx.maxFeePerGas) {
+        return {
+            maxFeePerGas: bumpFee(tx.maxFeePerGas, feeData.maxFeePerGas),
+            maxPriorityFeePerGas: bumpFee(tx.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas)
+        };
+    }
+    return { gasPrice: bumpFee(tx.gasPrice, feeData.gasPrice) };
+}
+
+// Speed up resends the same call; cancel sends nothing to yourself. Both reuse the nonce
+async function replaceTxFlow(flow, mode) {
+    if (flow.stage !== 'pending' || !signer || flow.from.toLowerCase() !== userAddress.toLowerCase()) return;
+
+    try {
+        const feeData = await provider.getFeeData();
+        const call = mode === 'cancel'
+            ? { to: flow.from, value: 0, data: '0x', gasLimit: TX_CANCEL_GAS_LIMIT }
+            : { to: flow.tx.to, value: flow.tx.value, data: flow.tx.data, gasLimit: flow.tx.gasLimit };
+
+        const tx = await signer.sendTransaction({
+            ...call,
+            nonce: flow.tx.nonce,
+            ...getReplacementFees(flow.tx, feeData)
+        });
+
+        // Later replacements bump from these fees; the call stays the original one
+        const fees = serializeTx(tx);
+        Object.assign(flow.tx, {
+            gasPrice: fees.gasPrice,
+            maxFeePerGas: fees.maxFeePerGas,
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+        });
+        flow.hashes.push(tx.hash);
+        if (mode === 'cancel') flow.cancelHash = tx.hash;
+        saveTxFlows();
+
+        showNotification(`${mode === 'cancel' ? 'Cancellation' : 'Speed-up'} sent for ${flow.type} ${formatTxLink(tx.hash)}`, 'info');
+    } catch (error) {
+        handleTransactionError(mode === 'cancel' ? 'Cancel' : 'Speed up', error);
+    }
+}
+
+function renderTxTracker() {
+    const container = document.getElementById('txTracker');
+    if (!container) return;
+
+    container.style.display = txTracker.flows.length > 0 ? 'flex' : 'none';
+    container.innerHTML = txTracker.flows.map(renderTxFlow).join('');
+}
+
+function renderTxFlow(flow) {
+    const steps = TX_FLOW_STEPS.filter(step => (step !== 'wrap' || flow.needsWrap) && (step !== 'approve' || flow.needsApproval));
+    const failed = !TX_FLOW_STEPS.includes(flow.stage);
+    // Failures are drawn on the step they happened at
+    const reached = steps.indexOf(failed ? flow.failedAt : flow.stage);
+
+    const stepHtml = steps.map((step, i) => {
+        let state = i < reached ? 'done' : (i === reached ? 'active' : '');
+        if (i === reached && failed) state = flow.stage === 'exported' ? 'done' : 'failed';
+        if (step === 'confirmed' && flow.stage === 'confirmed') state = 'done';
+
+        const label = step === 'confirmed' && failed ? flow.stage : step;
+        return `<span class="tx-step ${state}">${label}</span>`;
+    }).join('<span class="tx-step-separator">→</span>');
+
+    const links = [];
+    if (flow.wrapHash) links.push(`Wrap ${formatTxLink(flow.wrapHash)}`);
+    if (flow.approvalHash) links.push(`Approval ${formatTxLink(flow.approvalHash)}`);
+    if (flow.hash) links.push(formatTxLink(flow.hash));
+
+    // A batch is sent by the wallet and cannot be replaced by nonce from here
+    const canReplace = flow.stage === 'pending' && !flow.batched && signer && flow.from.toLowerCase() === (userAddress || '').toLowerCase();
+    const confirmations = flow.stage === 'confirmed'
+        ? `${Math.min(flow.confirmations, TX_CONFIRMATIONS)}/${TX_CONFIRMATIONS} confirmations`
+        : '';
+
+    return `
+        <div class="tx-flow ${flow.stage}">
+            <div class="tx-flow-header">
+                <strong>${flow.type}</strong>
+                <span>${flow.details}</span>
+                ${TX_FLOW_FINAL_STAGES.includes(flow.stage) ? `<button class="tx-flow-dismiss" data-flow-action="dismiss" data-flow-id="${flow.id}" title="Dismiss">&times;</button>` : ''}
+            </div>
+            <div class="tx-steps">${stepHtml}</div>
+            <div class="tx-flow-meta">
+                ${links.join(' · ')}
+                ${confirmations ? `<span>${confirmations}</span>` : ''}
+                ${flow.batched ? '<span>Batched with its approval</span>' : ''}
+                ${flow.hashes.length > 1 ? `<span>${flow.hashes.length - 1} replacement${flow.hashes.length > 2 ? 's' : ''}</span>` : ''}
+            </div>
+            ${flow.error ? `<p class="tx-flow-error">${flow.error}</p>` : ''}
+            ${canReplace ? `
+                <div class="tx-flow-actions">
+                    <button class="btn btn-secondary btn-small" data-flow-action="speedup" data-flow-id="${flow.id}">Speed Up</button>
+                    <button class="btn btn-warning btn-small" data-flow-action="cancel" data-flow-id="${flow.id}">Cancel</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
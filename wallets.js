@@ -0,0 +1,273 @@
+// Wallet selection
+// Injected wallets are discovered through EIP-6963 announcements; a legacy
+// `window.ethereum` is offered as "Browser Wallet" only when nothing announces.
+// WalletConnect is loaded on demand and, like the injected wallets, exposes an
+// EIP-1193 provider, so everything after selection goes through `walletProvider`.
+// The last wallet used is reconnected silently on the next visit.
+
+// Project id from cloud.walletconnect.com. `?wcProjectId=<id>` overrides it for the
+// visit and is only kept once a WalletConnect session connects with it, until the
+// user forgets it in the wallet list. Without any id WalletConnect is shown disabled
+const WALLETCONNECT_PROJECT_ID = '';
+const WALLETCONNECT_MODULE_URL = 'https://esm.sh/@walletconnect/ethereum-provider@2.17.0';
+const WALLETCONNECT_ID = 'walletconnect';
+const INJECTED_WALLET_ID = 'injected';
+
+// Wallets announce asynchronously after eip6963:requestProvider
+const WALLET_DISCOVERY_WAIT = 300;
+
+// rdns -> { id, name, icon, provider }
+const discoveredWallets = new Map();
+
+let walletProvider = null;
+let selectedWalletId = null;
+let walletConnectProvider = null;
+// Read once at startup, see WALLETCONNECT_PROJECT_ID
+let walletConnectProjectId = WALLETCONNECT_PROJECT_ID;
+
+window.addEventListener('eip6963:announceProvider', (event) => {
+    const { info, provider } = event.detail;
+    discoveredWallets.set(info.rdns, { id: info.rdns, name: info.name, icon: info.icon, provider });
+
+    const modal = document.getElementById('walletModal');
+    if (modal && modal.style.display === 'flex') {
+        renderWalletOptions();
+    }
+});
+
+function setupWalletSelection() {
+    walletConnectProjectId = new URLSearchParams(window.location.search).get('wcProjectId') ||
+        localStorage.getItem('wcProjectId') ||
+        WALLETCONNECT_PROJECT_ID;
+
+    document.getElementById('walletCancel').addEventListener('click', closeWalletModal);
+    document.getElementById('walletOptions').addEventListener('click', (e) => {
+        if (e.target.closest('[data-forget-project-id]')) {
+            forgetWalletConnectProjectId();
+            return;
+        }
+        const button = e.target.closest('[data-wallet-id]');
+        if (button) {
+            selectWallet(button.dataset.walletId);
+        }
+    });
+}
+
+async function discoverWallets() {
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+    await new Promise(resolve => setTimeout(resolve, WALLET_DISCOVERY_WAIT));
+}
+
+function getWalletConnectProjectId() {
+    return walletConnectProjectId;
+}
+
+function forgetWalletConnectProjectId() {
+    localStorage.removeItem('wcProjectId');
+    walletConnectProjectId = WALLETCONNECT_PROJECT_ID;
+    renderWalletOptions();
+}
+
+function getWalletOptions() {
+    const options = [...discoveredWallets.values()];
+
+    if (options.length === 0 && typeof window.ethereum !== 'undefined') {
+        options.push({ id: INJECTED_WALLET_ID, name: 'Browser Wallet', icon: null, provider: window.ethereum });
+    }
+    options.push({ id: WALLETCONNECT_ID, name: 'WalletConnect', icon: null, provider: null, disabled: !getWalletConnectProjectId() });
+    return options;
+}
+
+async function openWalletModal() {
+    document.getElementById('walletModal').style.display = 'flex';
+    renderWalletOptions();
+    await discoverWallets();
+    renderWalletOptions();
+}
+
+function closeWalletModal() {
+    document.getElementById('walletModal').style.display = 'none';
+}
+
+// Names and icons come from any extension's announcement, so they are never parsed as HTML
+function renderWalletOptions() {
+    const options = getWalletOptions();
+    const container = document.getElementById('walletOptions');
+
+    container.innerHTML = options.every(option => option.disabled)
+        ? '<p class="empty-row">No wallet found. Install a browser wallet to trade; prices and positions stay readable without one.</p>'
+        : '';
+
+    options.forEach(option => {
+        const button = document.createElement('button');
+        button.className = 'wallet-option';
+        button.dataset.walletId = option.id;
+
+        if (option.icon) {
+            const icon = document.createElement('img');
+            icon.src = option.icon;
+            icon.alt = '';
+            button.appendChild(icon);
+        } else {
+            button.insertAdjacentHTML('beforeend', '<span class="wallet-icon-placeholder">👛</span>');
+        }
+
+        const name = document.createElement('span');
+        name.textContent = option.name;
+        button.appendChild(name);
+
+        if (option.id === localStorage.getItem('lastWallet')) {
+            button.insertAdjacentHTML('beforeend', '<small>Last used</small>');
+        }
+        if (option.disabled) {
+            button.disabled = true;
+            button.title = 'Needs a project id from cloud.walletconnect.com';
+            button.insertAdjacentHTML('beforeend', '<small>Add ?wcProjectId=&lt;id&gt; to the URL</small>');
+        }
+        container.appendChild(button);
+    });
+
+    if (walletConnectProjectId && walletConnectProjectId !== WALLETCONNECT_PROJECT_ID) {
+        const note = document.createElement('p');
+        note.className = 'wallet-project-note';
+        note.textContent = `WalletConnect uses project id ${walletConnectProjectId} from a link. `;
+        note.insertAdjacentHTML('beforeend', '<button type="button" class="btn btn-secondary btn-small" data-forget-project-id>Forget</button>');
+        container.appendChild(note);
+    }
+}
+
+async function getWalletConnectProvider() {
+    if (walletConnectProvider) return walletConnectProvider;
+
+    const { EthereumProvider } = await import(WALLETCONNECT_MODULE_URL);
+    const chainIds = Object.keys(NETWORKS).map(Number);
+
+    walletConnectProvider = await EthereumProvider.init({
+        projectId: getWalletConnectProjectId(),
+        chains: [DEFAULT_CHAIN_ID],
+        optionalChains: chainIds.filter(chainId => chainId !== DEFAULT_CHAIN_ID),
+        rpcMap: Object.fromEntries(chainIds.map(chainId => [chainId, NETWORKS[chainId].rpcUrl])),
+        showQrModal: true,
+        metadata: {
+            name: 'StableCoin DEX',
+            description: 'Mint, swap and liquidate sETH and sBTC',
+            url: window.location.origin,
+            icons: []
+        }
+    });
+    return walletConnectProvider;
+}
+
+async function getSelectedProvider(walletId) {
+    if (walletId === WALLETCONNECT_ID) {
+        return getWalletConnectProjectId() ? getWalletConnectProvider() : null;
+    }
+    const option = getWalletOptions().find(item => item.id === walletId);
+    return option ? option.provider : null;
+}
+
+async function selectWallet(walletId) {
+    closeWalletModal();
+
+    try {
+        const selected = await getSelectedProvider(walletId);
+        if (!selected) {
+            throw new Error('Wallet is no longer available');
+        }
+
+        useWalletProvider(walletId, selected);
+        await connectWallet();
+    } catch (error) {
+        console.error('Failed to select wallet:', error);
+        showNotification(`Failed to connect wallet: ${error.message}`, 'error');
+    }
+}
+
+// Moves the account and chain listeners to the selected provider
+function useWalletProvider(walletId, eip1193Provider) {
+    if (walletProvider && walletProvider !== eip1193Provider) {
+        detachWalletListeners(walletProvider);
+    }
+    if (walletProvider !== eip1193Provider) {
+        eip1193Provider.on('accountsChanged', handleAccountsChanged);
+        eip1193Provider.on('chainChanged', handleChainChanged);
+        eip1193Provider.on('disconnect', handleWalletDisconnect);
+    }
+
+    walletProvider = eip1193Provider;
+    selectedWalletId = walletId;
+}
+
+function detachWalletListeners(eip1193Provider) {
+    eip1193Provider.removeListener('accountsChanged', handleAccountsChanged);
+    eip1193Provider.removeListener('chainChanged', handleChainChanged);
+    eip1193Provider.removeListener('disconnect', handleWalletDisconnect);
+}
+
+function rememberWallet() {
+    if (selectedWalletId) {
+        localStorage.setItem('lastWallet', selectedWalletId);
+    }
+    // A project id from a link is only kept once the user connected with it
+    if (selectedWalletId === WALLETCONNECT_ID && walletConnectProjectId !== WALLETCONNECT_PROJECT_ID) {
+        localStorage.setItem('wcProjectId', walletConnectProjectId);
+    }
+}
+
+// Injected wallets keep their permission; the app just stops reconnecting to them
+async function forgetWallet() {
+    const previous = walletProvider;
+    const previousId = selectedWalletId;
+
+    localStorage.removeItem('lastWallet');
+    walletProvider = null;
+    selectedWalletId = null;
+    if (!previous) return;
+
+    detachWalletListeners(previous);
+    if (previousId === WALLETCONNECT_ID) {
+        try {
+            await previous.disconnect();
+        } catch (error) {
+            console.warn('WalletConnect session already closed:', error);
+        }
+    }
+}
+
+function handleWalletDisconnect() {
+    if (userAddress) {
+        disconnectWallet();
+    }
+}
+
+// Reconnects the last used wallet without prompting; resolves to whether it did
+async function restoreLastWallet() {
+    const walletId = localStorage.getItem('lastWallet');
+    if (!walletId) return false;
+
+    try {
+        if (walletId === WALLETCONNECT_ID) {
+            if (!getWalletConnectProjectId()) return false;
+
+            const wcProvider = await getWalletConnectProvider();
+            if (!wcProvider.session) return false;
+
+            useWalletProvider(walletId, wcProvider);
+        } else {
+            await discoverWallets();
+            const selected = await getSelectedProvider(walletId);
+            if (!selected) return false;
+
+            const accounts = await selected.request({ method: 'eth_accounts' });
+            if (accounts.length === 0) return false;
+
+            useWalletProvider(walletId, selected);
+        }
+
+        await connectWallet();
+        return Boolean(userAddress);
+    } catch (error) {
+        console.warn('Failed to restore the last wallet:', error);
+        return false;
+    }
+}
@@ -0,0 +1,357 @@
+// Watchlist
+// A labelled address book of accounts to monitor, stored in this browser and
+// shared between networks. Both positions of every entry are re-read through
+// DEX.getUserDetails on each block while the Liquidation tab is open and graded
+// with the same alert thresholds as the position monitor. Addresses can be
+// entered as ENS names where the network's provider supports ENS, and the list
+// is imported and exported as JSON so a team can share it.
+const WATCHLIST_KEY = 'watchlist';
+const WATCHLIST_EXPORT_VERSION = 1;
+const WATCHLIST_LABEL_MAX_LENGTH = 40;
+
+const watchlistState = {
+    provider: null,
+    refreshing: false,
+    // lowercased address -> { weth, wbtc } from the last read
+    positions: {},
+    // lowercased address -> reverse ENS name, or null when there is none
+    names: {}
+};
+
+function setupWatchlist() {
+    document.getElementById('addWatchlistEntry').addEventListener('click', addWatchlistEntryFromForm);
+    document.getElementById('watchTarget').addEventListener('click', watchLiquidationTarget);
+    document.getElementById('exportWatchlist').addEventListener('click', exportWatchlist);
+    document.getElementById('importWatchlist').addEventListener('click', () => document.getElementById('watchlistFile').click());
+    document.getElementById('watchlistFile').addEventListener('change', importWatchlist);
+
+    const tbody = document.getElementById('watchlistResults');
+    tbody.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-watch-action]');
+        if (!button) return;
+
+        if (button.dataset.watchAction === 'remove') {
+            removeWatchlistEntry(button.dataset.address);
+        } else {
+            prefillLiquidation(button.dataset.address, button.dataset.watchAction);
+        }
+    });
+    tbody.addEventListener('change', (e) => {
+        if (e.target.matches('[data-watch-label]')) {
+            renameWatchlistEntry(e.target.dataset.watchLabel, e.target.value);
+        }
+    });
+
+    renderWatchlist();
+}
+
+function loadWatchlist() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(WATCHLIST_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn('Discarding unreadable watchlist:', error);
+        return [];
+    }
+}
+
+function saveWatchlist(entries) {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(entries));
+    renderWatchlist();
+}
+
+function findWatchlistEntry(entries, address) {
+    return entries.find(entry => entry.address.toLowerCase() === address.toLowerCase());
+}
+
+function normalizeLabel(label) {
+    return String(label || '').trim().slice(0, WATCHLIST_LABEL_MAX_LENGTH);
+}
+
+// Starts the per-block refresh for the current provider
+function startWatchlist() {
+    stopWatchlist();
+    if (!contracts.dex) return;
+
+    watchlistState.provider = contracts.dex.provider;
+    watchlistState.provider.on('block', refreshWatchlist);
+    refreshWatchlist();
+}
+
+function stopWatchlist() {
+    if (watchlistState.provider) {
+        watchlistState.provider.off('block', refreshWatchlist);
+    }
+    watchlistState.provider = null;
+    watchlistState.positions = {};
+    watchlistState.names = {};
+    renderWatchlist();
+}
+
+// Checks the list only while the Liquidation tab is shown
+async function refreshWatchlist() {
+    const entries = loadWatchlist();
+    const visible = document.getElementById('liquidation').classList.contains('active');
+    if (watchlistState.refreshing || !contracts.dex || entries.length === 0 || !visible) return;
+
+    const provider = watchlistState.provider;
+    watchlistState.refreshing = true;
+    try {
+        const results = await Promise.all(entries.map(entry => readContract(contracts.dex, 'getUserDetails', [entry.address])));
+        // The network may have changed while the reads were in flight
+        if (provider !== watchlistState.provider) return;
+
+        results.forEach((userDetails, i) => {
+            watchlistState.positions[entries[i].address.toLowerCase()] = splitUserDetails(userDetails);
+        });
+        renderWatchlist();
+
+        await lookupWatchlistNames(entries);
+    } catch (error) {
+        console.error('Failed to refresh the watchlist:', error);
+    } finally {
+        watchlistState.refreshing = false;
+    }
+}
+
+// Reverse ENS names, looked up once per address and network
+async function lookupWatchlistNames(entries) {
+    const provider = watchlistState.provider;
+    const missing = entries.filter(entry => !(entry.address.toLowerCase() in watchlistState.names));
+    if (missing.length === 0) return;
+
+    const names = await Promise.all(missing.map(entry => lookupEnsName(provider, entry.address)));
+    if (provider !== watchlistState.provider) return;
+
+    missing.forEach((entry, i) => {
+        watchlistState.names[entry.address.toLowerCase()] = names[i];
+    });
+    renderWatchlist();
+}
+
+function isEnsUnsupported(error) {
+    return error.code === 'UNSUPPORTED_OPERATION' || error.code === 'NETWORK_ERROR';
+}
+
+async function lookupEnsName(provider, address) {
+    try {
+        return await provider.lookupAddress(address);
+    } catch (error) {
+        if (!isEnsUnsupported(error)) console.warn(`ENS lookup failed for ${address}:`, error.message);
+        return null;
+    }
+}
+
+// { address, ens } for a 0x address or an ENS name; throws an action error otherwise
+async function resolveWatchlistInput(input) {
+    if (ethers.utils.isAddress(input)) {
+        return { address: ethers.utils.getAddress(input), ens: null };
+    }
+    if (!input.includes('.')) {
+        throw createActionError('Enter a 0x address or an ENS name');
+    }
+    if (!contracts.dex) {
+        throw createActionError('Connect to a network to resolve ENS names');
+    }
+
+    let address = null;
+    try {
+        address = await contracts.dex.provider.resolveName(input);
+    } catch (error) {
+        if (isEnsUnsupported(error)) {
+            throw createActionError(`${activeNetwork.name} does not support ENS names`, { remedy: 'Enter the 0x address instead' });
+        }
+        throw error;
+    }
+    if (!address) {
+        throw createActionError(`${input} does not resolve to an address on ${activeNetwork.name}`);
+    }
+    return { address, ens: input };
+}
+
+async function addWatchlistEntry(input, label) {
+    const { address, ens } = await resolveWatchlistInput(input.trim());
+    const entries = loadWatchlist();
+    const existing = findWatchlistEntry(entries, address);
+
+    if (existing) {
+        if (label) existing.label = normalizeLabel(label);
+        if (ens) existing.ens = ens;
+    } else {
+        entries.push({ address, label: normalizeLabel(label || ens || ''), ens, addedAt: Date.now() });
+    }
+    saveWatchlist(entries);
+    refreshWatchlist();
+    return existing ? 'updated' : 'added';
+}
+
+async function addWatchlistEntryFromForm() {
+    const addressInput = document.getElementById('watchlistAddress');
+    const labelInput = document.getElementById('watchlistLabel');
+    if (!addressInput.value.trim()) {
+        showNotification('Enter an address or ENS name to watch', 'error');
+        return;
+    }
+
+    try {
+        const result = await addWatchlistEntry(addressInput.value, labelInput.value);
+        showNotification(result === 'added' ? 'Added to the watchlist' : 'Watchlist entry updated', 'success');
+        addressInput.value = '';
+        labelInput.value = '';
+    } catch (error) {
+        const { message, remedy, level } = describeError(error);
+        showNotification(remedy ? `${message.replace(/\.$/, '')}. ${remedy}.` : message, level);
+    }
+}
+
+// Keeps the liquidation target around after the form is cleared
+async function watchLiquidationTarget() {
+    const target = document.getElementById('liquidationTarget').value.trim();
+    if (!target) {
+        showNotification('Enter a target address first', 'error');
+        return;
+    }
+
+    try {
+        const result = await addWatchlistEntry(target, '');
+        showNotification(result === 'added' ? 'Target added to the watchlist' : 'Target is already on the watchlist', 'success');
+    } catch (error) {
+        const { message, remedy, level } = describeError(error);
+        showNotification(remedy ? `${message.replace(/\.$/, '')}. ${remedy}.` : message, level);
+    }
+}
+
+function renameWatchlistEntry(address, label) {
+    const entries = loadWatchlist();
+    const entry = findWatchlistEntry(entries, address);
+    if (!entry) return;
+
+    entry.label = normalizeLabel(label);
+    saveWatchlist(entries);
+}
+
+function removeWatchlistEntry(address) {
+    const entries = loadWatchlist().filter(entry => entry.address.toLowerCase() !== address.toLowerCase());
+    delete watchlistState.positions[address.toLowerCase()];
+    saveWatchlist(entries);
+}
+
+function exportWatchlist() {
+    const entries = loadWatchlist();
+    if (entries.length === 0) {
+        showNotification('The watchlist is empty', 'info');
+        return;
+    }
+
+    const data = {
+        version: WATCHLIST_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: entries.map(({ address, label, ens }) => ({ address, label, ens }))
+    };
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    link.download = 'watchlist.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Valid entries from an exported file or a plain array; imported labels win over empty ones
+function mergeWatchlist(entries, imported) {
+    const merged = [...entries];
+    let added = 0;
+    let skipped = 0;
+
+    imported.forEach(item => {
+        if (!item || typeof item.address !== 'string' || !ethers.utils.isAddress(item.address)) {
+            skipped += 1;
+            return;
+        }
+
+        const address = ethers.utils.getAddress(item.address);
+        const label = normalizeLabel(item.label);
+        const ens = typeof item.ens === 'string' && item.ens ? item.ens : null;
+        const existing = findWatchlistEntry(merged, address);
+        if (existing) {
+            if (label) existing.label = label;
+            if (ens) existing.ens = ens;
+        } else {
+            merged.push({ address, label, ens, addedAt: Date.now() });
+            added += 1;
+        }
+    });
+
+    return { merged, added, skipped };
+}
+
+async function importWatchlist(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+        const imported = Array.isArray(data) ? data : data && data.entries;
+        if (!Array.isArray(imported)) {
+            showNotification('This file is not a watchlist export', 'error');
+            return;
+        }
+
+        const { merged, added, skipped } = mergeWatchlist(loadWatchlist(), imported);
+        saveWatchlist(merged);
+        refreshWatchlist();
+        showNotification(`Imported ${added} new address${added === 1 ? '' : 'es'}${skipped > 0 ? `, skipped ${skipped} invalid` : ''}`, skipped > 0 ? 'warning' : 'success');
+    } catch (error) {
+        console.error('Failed to import the watchlist:', error);
+        showNotification(`Failed to import the watchlist: ${error.message}`, 'error');
+    }
+}
+
+function renderWatchlistHealth(address, positionKey) {
+    const positions = watchlistState.positions[address.toLowerCase()];
+    if (!positions) return '<td>--</td>';
+
+    const details = positions[positionKey];
+    if (details.debt.isZero()) return '<td><span class="position-status">No debt</span></td>';
+
+    const level = getAlertLevel(details, getAlertThresholds());
+    return `
+        <td>
+            <span class="position-status ${level === 'ok' ? 'healthy' : level}">${formatHealthFactor(details.healthFactor)}</span>
+            ${level === 'liquidatable' ? `<button class="btn btn-warning btn-small" data-watch-action="${positionKey}" data-address="${address}">Liquidate</button>` : ''}
+        </td>
+    `;
+}
+
+function renderWatchlist() {
+    const entries = loadWatchlist();
+    const tbody = document.getElementById('watchlistResults');
+
+    document.getElementById('watchlistOptions').innerHTML = entries
+        .map(entry => `<option value="${entry.address}">${escapeHtml(entry.label || entry.ens || '')}</option>`)
+        .join('');
+
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="empty-row">Add addresses to watch their health factors</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = entries.map(entry => {
+        const name = watchlistState.names[entry.address.toLowerCase()] || entry.ens;
+        return `
+            <tr>
+                <td><input type="text" class="watchlist-label" data-watch-label="${entry.address}" value="${escapeHtml(entry.label || '')}" maxlength="${WATCHLIST_LABEL_MAX_LENGTH}" placeholder="Label"></td>
+                <td class="address-cell" title="${entry.address}">
+                    ${entry.address.slice(0, 6)}...${entry.address.slice(-4)}
+                    ${name ? `<small class="watchlist-ens">${escapeHtml(name)}</small>` : ''}
+                </td>
+                ${renderWatchlistHealth(entry.address, 'weth')}
+                ${renderWatchlistHealth(entry.address, 'wbtc')}
+                <td><button class="btn btn-secondary btn-small" data-watch-action="remove" data-address="${entry.address}">Remove</button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}